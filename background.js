@@ -2,13 +2,63 @@
  * Sora Prompt Queue - Background Service Worker
  * 
  * Responsibilities:
- * 1. Capture openai-sentinel-token from manual submissions via webRequest
+ * 1. Capture openai-sentinel-token from Sora backend requests via webRequest
  * 2. Store captured headers in chrome.storage.session
- * 3. Inject MAIN-world code for API calls (pending/create)
- * 4. Coordinate between popup and content scripts
- * 5. Handle multi-tab coordination (controller tab selection)
+ * 3. Own the queue: state, persistence and every mutation from the views
+ * 4. Run the automation engine (polling + auto-submit), driven by
+ *    chrome.alarms so it survives service worker restarts
+ * 5. Inject MAIN-world code for API calls (pending/create) into any
+ *    loaded Sora tab
+ * 6. Apply the options-page settings (chrome.storage.sync) live
+ * 7. Track the credit balance and hold back prompts it cannot cover
+ * 8. Raise desktop notifications (chrome.notifications) for queue milestones
+ * 9. Keep the queue, credits and token partitioned per signed-in account
+ * 10. Download finished videos (chrome.downloads) with a JSON sidecar
+ * 11. Hand each sequence shot the output of the shot before it
+ * 
+ * The content script panel and the popup are views over the queue state
+ * stored in chrome.storage.local; they change it only through messages.
  */
 
+import './shared.js';
+
+const {
+  OPTION_DEFAULTS,
+  SETTINGS_STORAGE_KEY,
+  EDITABLE_STATUSES,
+  PRIORITIES,
+  DEFAULT_PRIORITY,
+  MAX_VARIATIONS,
+  FINISHED_STATUSES,
+  DEFAULT_QUEUE_ID,
+  IN_FLIGHT_STATUSES,
+  DEFAULT_CONCURRENCY_LIMIT,
+  MAX_CONCURRENCY_LIMIT,
+  SCHEDULING_MODES,
+  BACKUP_VERSION,
+  validateOptions,
+  resolveSettings,
+  validateSchedule,
+  getItemEligibleAt,
+  getVariationCount,
+  getVariationProgress,
+  getPreviousShot,
+  getSequenceBlock,
+  validateSequence,
+  createQueueConfig,
+  validateQueueConfig,
+  pickNextAcrossQueues,
+  formatDownloadName,
+  getCostKey,
+  estimateItemCost,
+  resolveRetryPolicy,
+  validateRetryPolicy,
+  classifyFailure,
+  getRetryDecision,
+  buildBackup,
+  validateBackupState
+} = globalThis.SoraQueueShared;
+
 // ============================================================================
 // CONSTANTS
 // ============================================================================
@@ -18,30 +68,160 @@ const STORAGE_KEYS = {
   DEVICE_ID: 'capturedDeviceId',
   LANGUAGE: 'capturedLanguage',
   TOKEN_CAPTURED_AT: 'tokenCapturedAt',
+  TOKEN_SOURCE: 'tokenSource',      // Which request supplied the token (no secrets)
   QUEUE: 'soraQueue',
-  CONTROLLER_TAB: 'controllerTabId',
-  CONTROLLER_HEARTBEAT: 'controllerHeartbeat'
+  ENGINE: 'soraEngine',
+  HISTORY: 'soraHistory',
+  ACCOUNT_LIMITS: 'soraAccountLimits', // Detected concurrency limit per account
+  CREDITS: 'soraCredits',           // Last known credit balance and observed costs
+  ACCOUNTS: 'soraAccounts',         // Queue and credits of accounts not signed in
+  ACCOUNT_TOKENS: 'capturedTokensByAccount' // Their tokens (session storage)
+};
+
+// Controller-election keys from earlier versions, removed on update
+const LEGACY_STORAGE_KEYS = ['controllerTabId', 'controllerHeartbeat'];
+
+// Entries marked (setting) are overwritten by applySettings() from the
+// options page; the values here are only used until settings are loaded
+const CONFIG = {
+  POLL_INTERVAL_MS: 5000,           // (setting) Poll pending tasks every 5 seconds
+  SUBMIT_COOLDOWN_MS: 2000,         // (setting) Minimum time between submissions
+  MAX_CONCURRENT_TASKS: 0,          // (setting) Override; 0 = use the detected limit
+  BACKOFF_BASE_MS: 10000,           // (setting) Wait after hitting the concurrent limit
+  BACKOFF_JITTER_MS: 5000,          // (setting) Random jitter added to that wait
+  SUBMITTED_GRACE_MS: 60000,        // How long a new task may be missing from pending/v2
+  CONFIRM_MAX_LOOKUPS: 12,          // Drafts lookups before a task gone from pending/v2 counts as unknown
+  HISTORY_MAX_ENTRIES: 2000,        // Oldest history entries are dropped beyond this
+  ACCOUNT_CHECK_INTERVAL_MS: 1800000, // Re-read the page's account info every 30 minutes
+  ACCOUNT_RETRY_MS: 60000,          // ...or after a minute when it could not be read
+  PROMPT_PREVIEW_LENGTH: 80,        // (setting) Characters of prompt shown in notifications
+  TOKEN_MAX_AGE_MS: 7200000,        // (setting) Token counts as stale after this; 0 = never
+  TOKEN_STALE_PAUSE: false,         // (setting) Pause instead of submitting with a stale token
+  AUTO_DOWNLOAD: false,             // (setting) Download finished videos
+  DOWNLOAD_TEMPLATE: '{date}_{queue}_{index}_{prompt-slug}.mp4', // (setting) Their file name
+  DOWNLOAD_MAX_LOOKUPS: 12,         // Polls to wait for a finished video to be listed
+  NOTIFY: {                         // (setting) Desktop notification per milestone
+    queueDrained: true,
+    itemFailed: true,
+    dailyLimit: true,
+    dailyLimitReset: true,
+    tokenLost: true,
+    completed: false
+  },
+  DEBUG: true                       // (setting) Console logging
 };
 
-const DEBUG = true; // Set to false in production
+const ENGINE_ALARM = 'sqp-engine';  // Periodic wake-up (restarts the poll loop)
+const ENGINE_ALARM_PERIOD_MIN = 0.5;
+const SCHEDULE_ALARM = 'sqp-schedule';
+
+// Task statuses reported by /backend/nf/pending/v2
+const FAILED_TASK_STATUSES = ['failed', 'error', 'cancelled', 'canceled'];
+const SUCCEEDED_TASK_STATUSES = ['succeeded', 'completed', 'complete', 'finished'];
+
+// A create cut off by a worker restart may or may not have reached Sora;
+// sending it again could cost credits twice, so the user decides
+const INTERRUPTED_MESSAGE = 'Submission interrupted, check Sora before retrying';
 
 function debugLog(...args) {
-  if (DEBUG) {
+  if (CONFIG.DEBUG) {
     console.log('[SoraQueue:BG]', ...args);
   }
 }
 
+// ============================================================================
+// ENGINE STATE
+// ============================================================================
+
+const engine = {
+  // Persisted under STORAGE_KEYS.QUEUE
+  queue: [],                        // Array of queued prompts
+  isAutomationEnabled: true,        // Global automation toggle
+  isPaused: false,                  // Paused due to error/limit
+  pauseReason: null,                // Why automation is paused
+  dailyLimitResetTime: null,        // When daily limit resets
+  schedule: null,                   // Global submission window
+  queues: [],                       // Named queue configs (see shared.js)
+  queueAccountId: null,             // Account the loaded queue belongs to
+  queueAccountLabel: null,
+  schedulingMode: 'round_robin',    // How slots are shared between queues
+  lastQueueId: null,                // Queue served by the last submission
+  retryPolicy: null,                // Retry rules per failure class (null = defaults)
+  stateVersion: null,               // Format of the persisted state (BACKUP_VERSION)
+
+  // Runtime, mirrored to STORAGE_KEYS.ENGINE for the views
+  tabId: null,                      // Sora tab used for MAIN-world calls
+  activeTaskCount: 0,               // Current active tasks from polling
+  lastPollTime: null,               // Last successful poll timestamp
+  lastSubmitTime: null,             // Last submission attempt timestamp
+  mainWorldReady: false,            // MAIN world execution working
+  scheduledWakeAt: null,            // When the schedule alarm fires next
+  accountId: null,                  // Signed-in account (from the page session)
+  accountLabel: null,               // Its email or name, for the views
+  parkedAccounts: [],               // Summary of other accounts' parked queues
+  detectedLimit: null,              // Concurrency limit learned for that account
+  limitSource: null,                // Where it was learned: 429 | pending | account
+  credits: {                        // Persisted under STORAGE_KEYS.CREDITS
+    accountId: null,                // Account the balance belongs to
+    remaining: null,                // Last known balance (null = unknown)
+    resetAt: null,                  // When the balance resets
+    updatedAt: null,
+    costs: {}                       // Observed cost per getCostKey()
+  },
+
+  // Internal
+  hasValidToken: false,             // Whether we have a captured token
+  tokenCapturedAt: null,            // When the current token was captured
+  tokenSource: null,                // { endpoint, method, flow, usableForCreate, capturedAt }
+  staleWarnedFor: null,             // tokenCapturedAt the stale warning was shown for
+  accountCheckedAt: null,           // Last attempt to read the account info
+  isSubmitting: false,              // Currently submitting a prompt
+  isTicking: false,                 // An engine tick is in progress
+  pollTimeoutId: null,              // Timer for the next tick
+  loadPromise: null,                // Resolves once state is loaded
+  historyWriteChain: Promise.resolve(), // Serializes history read-modify-writes
+  tokenCaptureChain: Promise.resolve() // Serializes token captures, in arrival order
+};
+
 // ============================================================================
 // TOKEN CAPTURE VIA WEBREQUEST
 // ============================================================================
 
+const CREATE_PATH = '/backend/nf/create';
+
+// How likely a captured sentinel token is to be accepted by nf/create:
+// captured from create itself > unknown flow > minted for another flow
+const TOKEN_USABILITY_RANK = { true: 2, null: 1, false: 0 };
+
+/**
+ * Sentinel tokens are JSON carrying the flow they were minted for; only
+ * the flow name is read, never logged with the rest of the token
+ */
+function getTokenFlow(sentinel) {
+  try {
+    const flow = JSON.parse(sentinel)?.flow;
+    return typeof flow === 'string' ? flow : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Whether a token captured from `path` will work for nf/create: true,
+ * false, or null when unknown until a submit succeeds with it
+ */
+function getCreateUsability(path, flow) {
+  if (path === CREATE_PATH) return true;
+  if (!flow) return null;
+  return /create/i.test(flow);
+}
+
 /**
- * Listen for POST requests to /backend/nf/create and capture auth headers
+ * Listen for requests to any Sora backend endpoint and capture the auth
+ * headers they carry, recording which endpoint supplied the token
  */
 chrome.webRequest.onBeforeSendHeaders.addListener(
   async (details) => {
-    if (details.method !== 'POST') return;
-    
     const headers = details.requestHeaders || [];
     let sentinel = null;
     let deviceId = null;
@@ -59,41 +239,109 @@ chrome.webRequest.onBeforeSendHeaders.addListener(
     }
     
     if (sentinel) {
-      // SECURITY: Never log the actual token value
-      debugLog(`Captured token (length=${sentinel.length})`);
-      
-      const captureData = {
-        [STORAGE_KEYS.TOKEN]: sentinel,
-        [STORAGE_KEYS.TOKEN_CAPTURED_AT]: Date.now()
-      };
-      
-      if (deviceId) {
-        captureData[STORAGE_KEYS.DEVICE_ID] = deviceId;
-        debugLog(`Captured device ID (length=${deviceId.length})`);
-      }
-      
-      if (language) {
-        captureData[STORAGE_KEYS.LANGUAGE] = language;
-      }
-      
-      // Store in session storage (clears on browser close)
-      try {
-        await chrome.storage.session.set(captureData);
-        debugLog('Token stored in session storage');
-        
-        // Notify all Sora tabs about the token capture
-        notifyAllSoraTabs({ type: 'TOKEN_CAPTURED', hasToken: true });
-      } catch (err) {
-        // Fallback to local storage if session not available
-        debugLog('Session storage failed, using local:', err.message);
-        await chrome.storage.local.set(captureData);
-      }
+      await captureToken({ sentinel, deviceId, language, url: details.url, method: details.method });
     }
   },
-  { urls: ['https://sora.chatgpt.com/backend/nf/create'] },
+  { urls: ['https://sora.chatgpt.com/backend/*'] },
   ['requestHeaders']
 );
 
+/**
+ * Capture a token seen on the wire. Page requests arrive in parallel, so
+ * captures run one at a time in arrival order and an older token can't
+ * overwrite a newer one.
+ */
+function captureToken(capture) {
+  engine.tokenCaptureChain = engine.tokenCaptureChain
+    .then(() => storeCapturedToken(capture))
+    .catch(err => {
+      debugLog('Token capture error:', err.message);
+    });
+  return engine.tokenCaptureChain;
+}
+
+/**
+ * Store a captured token, unless the stored one is fresh and more likely
+ * to work for create (or it is the same token, e.g. our own submit)
+ */
+async function storeCapturedToken({ sentinel, deviceId, language, url, method }) {
+  const path = new URL(url).pathname;
+  const flow = getTokenFlow(sentinel);
+  const source = {
+    endpoint: path,
+    method,
+    flow,
+    usableForCreate: getCreateUsability(path, flow),
+    accountId: null, // Attributed at the next account check
+    capturedAt: Date.now()
+  };
+  
+  const current = await getCapturedHeaders();
+  if (current.token === sentinel) return;
+  if (current.token && !isTokenStale(current.capturedAt) &&
+      TOKEN_USABILITY_RANK[source.usableForCreate] < TOKEN_USABILITY_RANK[current.source?.usableForCreate ?? null]) {
+    debugLog(`Ignored token from ${method} ${path} (stored one from ${current.source?.endpoint} is better for create)`);
+    return;
+  }
+  
+  // SECURITY: Never log the actual token value
+  debugLog(`Captured token (length=${sentinel.length}) from ${method} ${path}`);
+  
+  const captureData = {
+    [STORAGE_KEYS.TOKEN]: sentinel,
+    [STORAGE_KEYS.TOKEN_CAPTURED_AT]: source.capturedAt,
+    [STORAGE_KEYS.TOKEN_SOURCE]: source
+  };
+  
+  if (deviceId) {
+    captureData[STORAGE_KEYS.DEVICE_ID] = deviceId;
+    debugLog(`Captured device ID (length=${deviceId.length})`);
+  }
+  
+  if (language) {
+    captureData[STORAGE_KEYS.LANGUAGE] = language;
+  }
+  
+  // Store in session storage (clears on browser close)
+  try {
+    await chrome.storage.session.set(captureData);
+    debugLog('Token stored in session storage');
+  } catch (err) {
+    // Fallback to local storage if session not available
+    debugLog('Session storage failed, using local:', err.message);
+    await chrome.storage.local.set(captureData);
+  }
+  
+  // Notify all Sora tabs about the token capture; the engine only needs a
+  // kick when it can now submit where it could not before
+  await ensureLoaded();
+  const usabilityChanged = engine.hasValidToken !== (source.usableForCreate !== false) ||
+    engine.tokenSource?.usableForCreate !== source.usableForCreate;
+  engine.hasValidToken = source.usableForCreate !== false;
+  engine.tokenCapturedAt = source.capturedAt;
+  engine.tokenSource = source;
+  engine.accountCheckedAt = null; // May be a different account now
+  notifyAllSoraTabs({ type: 'TOKEN_CAPTURED', hasToken: engine.hasValidToken });
+  const resumed = await resumeAfterFreshToken();
+  if (usabilityChanged || resumed) {
+    kickEngine();
+  }
+}
+
+/**
+ * A create succeeded with a token of unknown provenance: it is usable
+ */
+async function markTokenVerified() {
+  if (!engine.tokenSource || engine.tokenSource.usableForCreate === true) return;
+  
+  engine.tokenSource = { ...engine.tokenSource, usableForCreate: true, verifiedAt: Date.now() };
+  try {
+    await chrome.storage.session.set({ [STORAGE_KEYS.TOKEN_SOURCE]: engine.tokenSource });
+  } catch {
+    await chrome.storage.local.set({ [STORAGE_KEYS.TOKEN_SOURCE]: engine.tokenSource });
+  }
+}
+
 // ============================================================================
 // MESSAGE HANDLING
 // ============================================================================
@@ -113,32 +361,91 @@ async function handleMessage(message, sender) {
     case 'GET_TOKEN_STATUS':
       return await getTokenStatus();
       
-    case 'GET_CAPTURED_HEADERS':
-      return await getCapturedHeaders();
-      
     case 'SET_MANUAL_TOKEN':
       return await setManualToken(payload);
       
     case 'CLEAR_TOKEN':
       return await clearToken();
       
-    case 'INVALIDATE_TOKEN':
-      return await invalidateToken();
+    case 'GET_DEBUG_STATE':
+      return await getDebugState();
+  }
+  
+  // Everything below reads or mutates the queue
+  await ensureLoaded();
+  
+  switch (type) {
+    case 'GET_QUEUE_STATE':
+      return {
+        success: true,
+        ...getQueueSnapshot(),
+        engine: getEngineStatus(),
+        tabId: sender.tab?.id ?? null
+      };
+      
+    case 'QUEUE_ADD':
+      return addItems(payload?.items || [], payload?.queueId);
       
-    case 'EXECUTE_POLL_PENDING':
-      return await executePollPending(sender.tab?.id);
+    case 'QUEUE_PROMPT':
+      return addItems([{ prompt: payload?.prompt, options: payload?.options }]);
       
-    case 'EXECUTE_SUBMIT_PROMPT':
-      return await executeSubmitPrompt(sender.tab?.id, payload);
+    case 'QUEUE_REMOVE':
+      return removeFromQueue(payload?.itemId);
       
-    case 'REGISTER_CONTROLLER':
-      return await registerController(sender.tab?.id);
+    case 'QUEUE_MOVE':
+      return moveItem(payload?.itemId, payload?.direction);
       
-    case 'HEARTBEAT':
-      return await handleHeartbeat(sender.tab?.id);
+    case 'QUEUE_REORDER':
+      return reorderItem(payload?.itemId, payload?.beforeId);
       
-    case 'GET_DEBUG_STATE':
-      return await getDebugState();
+    case 'QUEUE_SUBMIT_NEXT':
+      return submitNext(payload?.itemId);
+      
+    case 'QUEUE_UPDATE_ITEM':
+      return updateQueueItem(payload || {});
+      
+    case 'QUEUE_CLEAR':
+      return clearItems(payload?.statuses, payload?.queueId);
+      
+    case 'QUEUE_RETRY':
+      return retryItem(payload?.itemId);
+      
+    case 'QUEUE_RETRY_FAILED':
+      return retryFailedItems(payload?.queueId);
+      
+    case 'QUEUE_CREATE':
+      return createQueue(payload?.name);
+      
+    case 'QUEUE_CONFIGURE':
+      return configureQueue(payload || {});
+      
+    case 'QUEUE_DELETE':
+      return deleteQueue(payload?.queueId);
+      
+    case 'SET_SCHEDULING_MODE':
+      return setSchedulingMode(payload?.mode);
+      
+    case 'TOGGLE_AUTOMATION':
+      return toggleAutomation();
+      
+    case 'RESUME_AUTOMATION':
+      return resumeAutomation();
+      
+    case 'SET_SCHEDULE':
+      return setSchedule(payload?.schedule);
+      
+    case 'SET_RETRY_POLICY':
+      return setRetryPolicy(payload?.policy);
+      
+    case 'GET_BACKUP':
+      return { success: true, backup: buildBackup(getQueueSnapshot()) };
+      
+    case 'RESTORE_BACKUP':
+      return restoreBackup(payload?.backup, payload?.mode);
+      
+    case 'REFRESH_ENGINE':
+      await engineTick();
+      return { success: true, engine: getEngineStatus() };
       
     default:
       return { success: false, error: 'Unknown message type' };
@@ -154,25 +461,33 @@ async function getTokenStatus() {
     // Try session storage first
     let result = await chrome.storage.session.get([
       STORAGE_KEYS.TOKEN,
-      STORAGE_KEYS.TOKEN_CAPTURED_AT
+      STORAGE_KEYS.TOKEN_CAPTURED_AT,
+      STORAGE_KEYS.TOKEN_SOURCE
     ]);
     
     // Fallback to local storage
     if (!result[STORAGE_KEYS.TOKEN]) {
       result = await chrome.storage.local.get([
         STORAGE_KEYS.TOKEN,
-        STORAGE_KEYS.TOKEN_CAPTURED_AT
+        STORAGE_KEYS.TOKEN_CAPTURED_AT,
+        STORAGE_KEYS.TOKEN_SOURCE
       ]);
     }
     
-    const hasToken = !!result[STORAGE_KEYS.TOKEN];
+    const source = result[STORAGE_KEYS.TOKEN_SOURCE] || null;
+    // A token minted for another flow is kept for the record but can't submit
+    const hasToken = !!result[STORAGE_KEYS.TOKEN] && source?.usableForCreate !== false;
     const capturedAt = result[STORAGE_KEYS.TOKEN_CAPTURED_AT] || null;
     
     return {
       success: true,
       hasToken,
       capturedAt,
-      tokenLength: hasToken ? result[STORAGE_KEYS.TOKEN].length : 0
+      source,
+      ageMs: capturedAt ? Date.now() - capturedAt : null,
+      maxAgeMs: CONFIG.TOKEN_MAX_AGE_MS,
+      isStale: hasToken && isTokenStale(capturedAt),
+      tokenLength: result[STORAGE_KEYS.TOKEN]?.length || 0
     };
   } catch (err) {
     debugLog('getTokenStatus error:', err.message);
@@ -185,7 +500,9 @@ async function getCapturedHeaders() {
     let result = await chrome.storage.session.get([
       STORAGE_KEYS.TOKEN,
       STORAGE_KEYS.DEVICE_ID,
-      STORAGE_KEYS.LANGUAGE
+      STORAGE_KEYS.LANGUAGE,
+      STORAGE_KEYS.TOKEN_CAPTURED_AT,
+      STORAGE_KEYS.TOKEN_SOURCE
     ]);
     
     // Fallback to local
@@ -193,7 +510,9 @@ async function getCapturedHeaders() {
       result = await chrome.storage.local.get([
         STORAGE_KEYS.TOKEN,
         STORAGE_KEYS.DEVICE_ID,
-        STORAGE_KEYS.LANGUAGE
+        STORAGE_KEYS.LANGUAGE,
+        STORAGE_KEYS.TOKEN_CAPTURED_AT,
+        STORAGE_KEYS.TOKEN_SOURCE
       ]);
     }
     
@@ -201,7 +520,9 @@ async function getCapturedHeaders() {
       success: true,
       token: result[STORAGE_KEYS.TOKEN] || null,
       deviceId: result[STORAGE_KEYS.DEVICE_ID] || null,
-      language: result[STORAGE_KEYS.LANGUAGE] || 'en-US'
+      language: result[STORAGE_KEYS.LANGUAGE] || 'en-US',
+      capturedAt: result[STORAGE_KEYS.TOKEN_CAPTURED_AT] || null,
+      source: result[STORAGE_KEYS.TOKEN_SOURCE] || null
     };
   } catch (err) {
     return { success: false, error: err.message };
@@ -215,9 +536,19 @@ async function setManualToken(payload) {
     return { success: false, error: 'Invalid token' };
   }
   
+  const flow = getTokenFlow(token.trim());
+  const source = {
+    endpoint: 'manual',
+    method: null,
+    flow,
+    usableForCreate: getCreateUsability(null, flow),
+    accountId: null,
+    capturedAt: Date.now()
+  };
   const data = {
     [STORAGE_KEYS.TOKEN]: token.trim(),
-    [STORAGE_KEYS.TOKEN_CAPTURED_AT]: Date.now()
+    [STORAGE_KEYS.TOKEN_CAPTURED_AT]: source.capturedAt,
+    [STORAGE_KEYS.TOKEN_SOURCE]: source
   };
   
   if (deviceId) data[STORAGE_KEYS.DEVICE_ID] = deviceId;
@@ -230,34 +561,70 @@ async function setManualToken(payload) {
   }
   
   debugLog(`Manual token set (length=${token.trim().length})`);
+  engine.hasValidToken = true;
+  engine.tokenCapturedAt = source.capturedAt;
+  engine.tokenSource = source;
+  engine.accountCheckedAt = null;
   notifyAllSoraTabs({ type: 'TOKEN_CAPTURED', hasToken: true, manual: true });
+  await resumeAfterFreshToken();
+  kickEngine();
   
   return { success: true, hasToken: true };
 }
 
 async function clearToken() {
+  await removeCapturedHeaders();
+  
+  debugLog('Token cleared');
+  engine.hasValidToken = false;
+  engine.tokenCapturedAt = null;
+  engine.tokenSource = null;
+  notifyAllSoraTabs({ type: 'TOKEN_CLEARED' });
+  
+  return { success: true, hasToken: false };
+}
+
+/**
+ * Remove the active token from both storage areas (parked tokens stay)
+ */
+async function removeCapturedHeaders() {
+  const keys = [
+    STORAGE_KEYS.TOKEN,
+    STORAGE_KEYS.DEVICE_ID,
+    STORAGE_KEYS.LANGUAGE,
+    STORAGE_KEYS.TOKEN_CAPTURED_AT,
+    STORAGE_KEYS.TOKEN_SOURCE
+  ];
+  
   try {
-    await chrome.storage.session.remove([
-      STORAGE_KEYS.TOKEN,
-      STORAGE_KEYS.DEVICE_ID,
-      STORAGE_KEYS.LANGUAGE,
-      STORAGE_KEYS.TOKEN_CAPTURED_AT
-    ]);
+    await chrome.storage.session.remove(keys);
   } catch {}
   
   try {
-    await chrome.storage.local.remove([
-      STORAGE_KEYS.TOKEN,
-      STORAGE_KEYS.DEVICE_ID,
-      STORAGE_KEYS.LANGUAGE,
-      STORAGE_KEYS.TOKEN_CAPTURED_AT
-    ]);
+    await chrome.storage.local.remove(keys);
+  } catch {}
+}
+
+/**
+ * Token data goes to session storage (clears on browser close), local
+ * storage where session is unavailable
+ */
+async function writeTokenStorage(data) {
+  try {
+    await chrome.storage.session.set(data);
+  } catch {
+    await chrome.storage.local.set(data);
+  }
+}
+
+async function readTokenStorage(key) {
+  try {
+    const result = await chrome.storage.session.get([key]);
+    if (result[key] !== undefined) return result[key];
   } catch {}
   
-  debugLog('Token cleared');
-  notifyAllSoraTabs({ type: 'TOKEN_CLEARED' });
-  
-  return { success: true, hasToken: false };
+  const result = await chrome.storage.local.get([key]);
+  return result[key];
 }
 
 async function invalidateToken() {
@@ -266,6 +633,44 @@ async function invalidateToken() {
   return await clearToken();
 }
 
+/**
+ * Whether a token captured at `capturedAt` is older than the configured
+ * max age (never, when the max age is 0)
+ */
+function isTokenStale(capturedAt = engine.tokenCapturedAt) {
+  if (!CONFIG.TOKEN_MAX_AGE_MS || !capturedAt) return false;
+  return Date.now() - capturedAt > CONFIG.TOKEN_MAX_AGE_MS;
+}
+
+/**
+ * Ask for a fresh token once per captured token, as soon as it goes stale
+ * (before a submit fails with it)
+ */
+function checkTokenFreshness() {
+  if (!engine.hasValidToken || !isTokenStale()) return;
+  if (engine.staleWarnedFor === engine.tokenCapturedAt) return;
+  
+  engine.staleWarnedFor = engine.tokenCapturedAt;
+  const age = formatDuration(Date.now() - engine.tokenCapturedAt);
+  debugLog(`Token is stale (${age} old)`);
+  notifyViews(`Token is ${age} old. Generate once manually to refresh it.`, 'warning');
+  showDesktopNotification('tokenLost', 'Token is stale', `Captured ${age} ago. Generate once manually in Sora to refresh it.`);
+}
+
+/**
+ * A fresh token ends a stale-token pause. Returns whether it did.
+ */
+async function resumeAfterFreshToken() {
+  await ensureLoaded();
+  if (!engine.isPaused || engine.pauseReason !== 'token_stale') return false;
+  
+  engine.isPaused = false;
+  engine.pauseReason = null;
+  await saveQueue();
+  notifyViews('Fresh token captured. Resuming...', 'success');
+  return true;
+}
+
 // ============================================================================
 // MAIN-WORLD SCRIPT EXECUTION
 // ============================================================================
@@ -276,7 +681,7 @@ async function invalidateToken() {
  */
 async function executeInMainWorld(tabId, func, args = []) {
   if (!tabId) {
-    return { success: false, error: 'No tab ID provided' };
+    return { success: false, error: 'EXECUTE_FAILED', message: 'No tab ID provided' };
   }
   
   try {
@@ -290,10 +695,10 @@ async function executeInMainWorld(tabId, func, args = []) {
     if (results && results[0]) {
       return results[0].result;
     }
-    return { success: false, error: 'No result from executeScript' };
+    return { success: false, error: 'EXECUTE_FAILED', message: 'No result from executeScript' };
   } catch (err) {
     debugLog('executeInMainWorld error:', err.message);
-    return { success: false, error: err.message };
+    return { success: false, error: 'EXECUTE_FAILED', message: err.message };
   }
 }
 
@@ -369,7 +774,15 @@ async function executeSubmitPrompt(tabId, payload) {
     };
   }
   
-  const { token, deviceId, language } = headersResult;
+  const { token, deviceId, language, capturedAt } = headersResult;
+  
+  if (CONFIG.TOKEN_STALE_PAUSE && isTokenStale(capturedAt)) {
+    return {
+      success: false,
+      error: 'TOKEN_STALE',
+      message: `Token is ${formatDuration(Date.now() - capturedAt)} old. Generate once manually to capture a fresh one.`
+    };
+  }
   
   debugLog(`Submitting prompt (length=${prompt.length})`);
   
@@ -452,13 +865,125 @@ async function executeSubmitPrompt(tabId, payload) {
     };
   }
   
+  if (!result.success && result.status >= 400 && result.status < 500) {
+    const rejection = parseRejection(result.status, result.data);
+    if (rejection) {
+      debugLog('Prompt rejected:', rejection.error, rejection.message);
+      return { ...result, ...rejection };
+    }
+  }
+  
   if (result.success) {
-    debugLog('Submission successful');
+    const taskId = extractTaskId(result.data);
+    debugLog(`Submission successful (task=${taskId || 'unknown'})`);
+    return { ...result, taskId };
   }
   
   return result;
 }
 
+/**
+ * Read the signed-in account from the page's session endpoint. Only the
+ * account ID, its email or name and any concurrency hint leave the page
+ * (never the session's tokens).
+ */
+async function executeGetAccountInfo(tabId) {
+  return executeInMainWorld(tabId, async function() {
+    try {
+      const response = await fetch('https://sora.chatgpt.com/api/auth/session', {
+        method: 'GET',
+        credentials: 'include',
+        headers: { 'Accept': 'application/json' }
+      });
+      
+      if (!response.ok) {
+        return { success: false, error: `HTTP ${response.status}` };
+      }
+      
+      const session = await response.json();
+      const accountId = session?.user?.id || session?.account?.id || null;
+      const label = session?.user?.email || session?.user?.name || null;
+      
+      // Look for a concurrency limit anywhere in the session payload
+      let limit = null;
+      const visit = (value, depth) => {
+        if (limit !== null || !value || typeof value !== 'object' || depth > 6) return;
+        for (const [key, child] of Object.entries(value)) {
+          if (/concurren/i.test(key) && Number.isInteger(child) && child > 0) {
+            limit = child;
+            return;
+          }
+          visit(child, depth + 1);
+        }
+      };
+      visit(session, 0);
+      
+      return { success: true, accountId, label, limit };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  });
+}
+
+/**
+ * Look up the finished videos of some tasks in the signed-in account's
+ * drafts, in task order. Only their media URLs and generation IDs leave the
+ * page; `found` is false while any of the tasks is not listed yet.
+ *
+ * `project_y/profile/drafts` is not a documented API and its response has
+ * not been checked against a published schema. What is read: a list of
+ * drafts (the body itself, or its `items` / `drafts`), each matched by
+ * `task_id` or `generation.task_id`, with its video in `downloadable_url`,
+ * `download_urls.no_watermark`, `encodings.source.path` or `url` and its
+ * generation ID in `id`. A body without a draft list fails with
+ * UNEXPECTED_RESPONSE, so callers can stop instead of retrying.
+ */
+async function executeGetTaskMedia(tabId, taskIds) {
+  return executeInMainWorld(tabId, async function(taskIds) {
+    try {
+      const response = await fetch('https://sora.chatgpt.com/backend/project_y/profile/drafts?limit=50', {
+        method: 'GET',
+        credentials: 'include',
+        headers: { 'Accept': 'application/json' }
+      });
+      
+      if (!response.ok) {
+        return { success: false, error: `HTTP ${response.status}` };
+      }
+      
+      const data = await response.json();
+      const drafts = Array.isArray(data) ? data : (data?.items || data?.drafts);
+      if (!Array.isArray(drafts)) {
+        return { success: false, error: 'UNEXPECTED_RESPONSE', message: 'Drafts response has no list of drafts' };
+      }
+      const draftsByTask = taskIds.map(taskId => drafts
+        .filter(d => d && (d.task_id === taskId || d.generation?.task_id === taskId)));
+      const urlsByTask = draftsByTask.map(list => list
+        .map(d => d.downloadable_url || d.download_urls?.no_watermark || d.encodings?.source?.path || d.url)
+        .filter(url => typeof url === 'string' && url.startsWith('https://')));
+      
+      return {
+        success: true,
+        found: urlsByTask.every(urls => urls.length > 0),
+        // Listed, but with none of the video fields above
+        listedWithoutMedia: draftsByTask.some((list, i) => list.length > 0 && urlsByTask[i].length === 0),
+        urls: urlsByTask.flat(),
+        generationIds: draftsByTask.map(list => list[0]?.id || list[0]?.generation?.id || null)
+      };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  }, [taskIds]);
+}
+
+/**
+ * Pull the task/generation ID out of a create response
+ */
+function extractTaskId(data) {
+  if (!data || typeof data !== 'object') return null;
+  return data.id || data.task_id || data.task?.id || data.generation_id || null;
+}
+
 /**
  * Parse 429 response to determine if it's concurrent limit or daily limit
  */
@@ -485,25 +1010,29 @@ function parse429Response(data) {
     };
   }
   
-  // Check for concurrent task limit - multiple detection methods
+  // Check for concurrent task limit - multiple detection methods. The
+  // number of running tasks at that point is the account's limit.
   const errorCode = data.error?.code;
   const errorMessage = data.error?.message || '';
-  const numTasks = data.error?.details?.num_tasks;
+  const countMatch =
+    errorMessage.match(/you already have (\d+) generations? in progress/i) ||
+    errorMessage.match(/you can only generate (\d+) videos? at a time/i);
+  const numTasks = Number.isInteger(data.error?.details?.num_tasks)
+    ? data.error.details.num_tasks
+    : (countMatch ? Number(countMatch[1]) : null);
   
   const isConcurrentLimit = 
     errorCode === 'too_many_concurrent_tasks' ||
-    numTasks === 3 ||
-    /you already have 3 generations? in progress/i.test(errorMessage) ||
-    /you can only generate 3 videos? at a time/i.test(errorMessage) ||
+    countMatch !== null ||
     /too many concurrent/i.test(errorMessage) ||
     /maximum.*concurrent.*generations/i.test(errorMessage);
   
   if (isConcurrentLimit) {
-    debugLog('Concurrent limit detected');
+    debugLog(`Concurrent limit detected (num_tasks=${numTasks ?? 'unknown'})`);
     return {
       error: 'CONCURRENT_LIMIT',
-      message: data.error?.message || 'Maximum concurrent generations reached (3).',
-      numTasks: numTasks || 3
+      message: data.error?.message || 'Maximum concurrent generations reached.',
+      numTasks
     };
   }
   
@@ -515,86 +1044,2125 @@ function parse429Response(data) {
   };
 }
 
-// ============================================================================
-// MULTI-TAB COORDINATION
-// ============================================================================
-
-async function registerController(tabId) {
-  if (!tabId) return { success: false, error: 'No tab ID' };
+/**
+ * Recognize a 4xx create response that rejects the prompt itself: a
+ * content-policy (moderation) block or a validation error. Returns null
+ * for anything else.
+ */
+function parseRejection(status, data) {
+  const error = data?.error || {};
+  const serverCode = error.code || error.type || data?.type || null;
   
-  const now = Date.now();
+  // FastAPI-style 422 bodies list the invalid fields under `detail`
+  const detail = Array.isArray(data?.detail)
+    ? data.detail.map(d => [d.loc?.slice(-1)[0], d.msg].filter(Boolean).join(': ')).join('; ')
+    : (typeof data?.detail === 'string' ? data.detail : null);
+  const reason = error.message || data?.message || detail || null;
   
-  try {
-    const result = await chrome.storage.local.get([
-      STORAGE_KEYS.CONTROLLER_TAB,
-      STORAGE_KEYS.CONTROLLER_HEARTBEAT
-    ]);
-    
-    const currentController = result[STORAGE_KEYS.CONTROLLER_TAB];
-    const lastHeartbeat = result[STORAGE_KEYS.CONTROLLER_HEARTBEAT] || 0;
-    
-    // If no controller or heartbeat is stale (> 10s), become controller
-    if (!currentController || (now - lastHeartbeat) > 10000) {
-      await chrome.storage.local.set({
-        [STORAGE_KEYS.CONTROLLER_TAB]: tabId,
-        [STORAGE_KEYS.CONTROLLER_HEARTBEAT]: now
-      });
-      debugLog(`Tab ${tabId} is now controller`);
-      return { success: true, isController: true };
-    }
-    
-    // Check if current controller tab still exists
-    try {
-      await chrome.tabs.get(currentController);
-      // Tab exists
-      if (currentController === tabId) {
-        return { success: true, isController: true };
-      }
-      return { success: true, isController: false, controllerId: currentController };
-    } catch {
-      // Tab doesn't exist, become controller
-      await chrome.storage.local.set({
-        [STORAGE_KEYS.CONTROLLER_TAB]: tabId,
-        [STORAGE_KEYS.CONTROLLER_HEARTBEAT]: now
-      });
-      debugLog(`Tab ${tabId} is now controller (previous tab closed)`);
-      return { success: true, isController: true };
-    }
-  } catch (err) {
-    return { success: false, error: err.message };
+  if (/moderation|content[ _]?policy|safety|violat|guardrail|not allowed/i.test(`${serverCode || ''} ${reason || ''}`)) {
+    return {
+      error: 'CONTENT_POLICY',
+      message: reason || 'Prompt was blocked by the content policy.',
+      serverCode
+    };
   }
-}
-
-async function handleHeartbeat(tabId) {
-  if (!tabId) return { success: false };
   
-  try {
-    const result = await chrome.storage.local.get([STORAGE_KEYS.CONTROLLER_TAB]);
-    
-    if (result[STORAGE_KEYS.CONTROLLER_TAB] === tabId) {
-      await chrome.storage.local.set({
-        [STORAGE_KEYS.CONTROLLER_HEARTBEAT]: Date.now()
-      });
-      return { success: true, isController: true };
-    }
-    
-    return { success: true, isController: false };
-  } catch (err) {
-    return { success: false, error: err.message };
+  if (status === 400 || status === 422) {
+    return {
+      error: 'VALIDATION_ERROR',
+      message: reason || `Request was rejected as invalid (HTTP ${status}).`,
+      serverCode
+    };
   }
+  
+  return null;
 }
 
 // ============================================================================
-// UTILITY FUNCTIONS
+// QUEUE STATE
 // ============================================================================
 
-async function notifyAllSoraTabs(message) {
+/**
+ * Load settings and persisted state once per service worker lifetime
+ */
+function ensureLoaded() {
+  if (!engine.loadPromise) {
+    engine.loadPromise = loadSettings().then(loadCredits).then(loadQueue);
+  }
+  return engine.loadPromise;
+}
+
+/**
+ * Load queue from storage
+ */
+async function loadQueue() {
   try {
-    const tabs = await chrome.tabs.query({ url: 'https://sora.chatgpt.com/*' });
-    for (const tab of tabs) {
-      try {
-        await chrome.tabs.sendMessage(tab.id, message);
-      } catch {
+    const result = await chrome.storage.local.get([STORAGE_KEYS.QUEUE]);
+    applyQueueState(result[STORAGE_KEYS.QUEUE] || {});
+  } catch (err) {
+    debugLog('loadQueue error:', err.message);
+  }
+  
+  normalizeQueueState();
+  engine.parkedAccounts = summarizeParkedAccounts(await loadParkedAccounts());
+  
+  try {
+    const tokenStatus = await getTokenStatus();
+    engine.hasValidToken = tokenStatus.hasToken;
+    engine.tokenCapturedAt = tokenStatus.capturedAt;
+    engine.tokenSource = tokenStatus.source;
+  } catch {}
+  
+  checkDailyLimitReset();
+  await saveQueue();
+  debugLog(`Loaded ${engine.queue.length} queue items`);
+}
+
+/**
+ * Take over a stored queue snapshot (see getQueueSnapshot)
+ */
+function applyQueueState(data) {
+  engine.queue = data.queue || [];
+  engine.dailyLimitResetTime = data.dailyLimitResetTime || null;
+  engine.isPaused = data.isPaused || false;
+  engine.pauseReason = data.pauseReason || null;
+  engine.isAutomationEnabled = data.isAutomationEnabled !== false;
+  engine.schedule = data.schedule || null;
+  engine.queues = data.queues || [];
+  engine.schedulingMode = data.schedulingMode || 'round_robin';
+  engine.lastQueueId = data.lastQueueId || null;
+  engine.retryPolicy = data.retryPolicy || null;
+  engine.queueAccountId = data.accountId || null;
+  engine.queueAccountLabel = data.accountLabel || null;
+  engine.stateVersion = data.stateVersion || null;
+}
+
+/**
+ * Migrate and repair a freshly applied snapshot
+ */
+function normalizeQueueState() {
+  // Everything queued before named queues existed lives in the default queue
+  if (!engine.queues.some(q => q.id === DEFAULT_QUEUE_ID)) {
+    engine.queues.unshift(createQueueConfig(DEFAULT_QUEUE_ID, 'Default'));
+  }
+  
+  // Saved before the concurrency limit was detected (see backup v5 -> v6)
+  if (!engine.stateVersion || engine.stateVersion < 6) {
+    engine.queues.forEach(q => {
+      if (q.slots === 3) q.slots = null;
+    });
+  }
+  engine.stateVersion = BACKUP_VERSION;
+  
+  engine.queue.forEach(item => {
+    normalizeItem(item);
+    if (!engine.queues.some(q => q.id === item.queueId)) {
+      item.queueId = DEFAULT_QUEUE_ID;
+    }
+  });
+}
+
+/**
+ * Bring a stored or restored item up to date. Also the single place that
+ * decides what becomes of an item caught mid-send.
+ */
+function normalizeItem(item) {
+  if (item.status === 'sending') {
+    item.status = 'error';
+    item.errorMessage = INTERRUPTED_MESSAGE;
+  }
+  // Items queued before priorities, variations or sequences existed
+  if (!item.priority) {
+    item.priority = DEFAULT_PRIORITY;
+  }
+  if (!item.variations) {
+    item.variations = 1;
+  }
+  if (!Array.isArray(item.takes)) {
+    item.takes = [];
+  }
+  if (item.sequence === undefined) {
+    item.sequence = null;
+  } else if (item.sequence) {
+    item.sequence = { name: 'Sequence', total: item.sequence.index + 1, linkField: null, linkedGenerationId: null, ...item.sequence };
+  }
+  return item;
+}
+
+/**
+ * Persist queue to storage; the views re-render from the change event
+ */
+async function saveQueue() {
+  try {
+    await chrome.storage.local.set({ [STORAGE_KEYS.QUEUE]: getQueueSnapshot() });
+  } catch (err) {
+    debugLog('saveQueue error:', err.message);
+  }
+  await updateScheduleAlarm();
+}
+
+/**
+ * Persist the runtime status (active count, MAIN world, tab) for the views
+ */
+async function saveEngineStatus() {
+  try {
+    await chrome.storage.local.set({ [STORAGE_KEYS.ENGINE]: getEngineStatus() });
+  } catch (err) {
+    debugLog('saveEngineStatus error:', err.message);
+  }
+}
+
+function getQueueSnapshot() {
+  return {
+    queue: engine.queue,
+    dailyLimitResetTime: engine.dailyLimitResetTime,
+    isPaused: engine.isPaused,
+    pauseReason: engine.pauseReason,
+    isAutomationEnabled: engine.isAutomationEnabled,
+    schedule: engine.schedule,
+    queues: engine.queues,
+    schedulingMode: engine.schedulingMode,
+    lastQueueId: engine.lastQueueId,
+    retryPolicy: engine.retryPolicy,
+    accountId: engine.queueAccountId,
+    accountLabel: engine.queueAccountLabel,
+    stateVersion: engine.stateVersion
+  };
+}
+
+function getEngineStatus() {
+  return {
+    tabId: engine.tabId,
+    hasValidToken: engine.hasValidToken,
+    tokenCapturedAt: engine.tokenCapturedAt,
+    tokenSource: engine.tokenSource,
+    tokenStale: isTokenStale(),
+    activeTaskCount: engine.activeTaskCount,
+    credits: {
+      remaining: engine.credits.remaining,
+      resetAt: engine.credits.resetAt,
+      updatedAt: engine.credits.updatedAt,
+      costs: engine.credits.costs
+    },
+    accountId: engine.accountId,
+    accountLabel: engine.accountLabel,
+    parkedAccounts: engine.parkedAccounts,
+    maxConcurrentTasks: getConcurrencyLimit(),
+    concurrencySource: CONFIG.MAX_CONCURRENT_TASKS ? 'setting' : (engine.limitSource || 'default'),
+    lastPollTime: engine.lastPollTime,
+    lastSubmitTime: engine.lastSubmitTime,
+    mainWorldReady: engine.mainWorldReady,
+    isSubmitting: engine.isSubmitting,
+    scheduledWakeAt: engine.scheduledWakeAt
+  };
+}
+
+/**
+ * Unpause once the daily limit window has passed
+ */
+function checkDailyLimitReset() {
+  if (!engine.dailyLimitResetTime || Date.now() < engine.dailyLimitResetTime) {
+    return false;
+  }
+  
+  engine.dailyLimitResetTime = null;
+  if (engine.pauseReason === 'daily_limit' || engine.pauseReason === 'insufficient_credits') {
+    engine.isPaused = false;
+    engine.pauseReason = null;
+  }
+  return true;
+}
+
+// ============================================================================
+// SETTINGS
+// ============================================================================
+
+async function loadSettings() {
+  try {
+    const result = await chrome.storage.sync.get([SETTINGS_STORAGE_KEY]);
+    applySettings(resolveSettings(result[SETTINGS_STORAGE_KEY]));
+  } catch (err) {
+    debugLog('loadSettings error:', err.message);
+  }
+}
+
+/**
+ * Copy resolved settings into CONFIG, where the engine reads them
+ */
+function applySettings(settings) {
+  CONFIG.POLL_INTERVAL_MS = settings.pollIntervalMs;
+  CONFIG.SUBMIT_COOLDOWN_MS = settings.submitCooldownMs;
+  CONFIG.MAX_CONCURRENT_TASKS = settings.maxConcurrentTasks;
+  CONFIG.BACKOFF_BASE_MS = settings.backoffBaseMs;
+  CONFIG.BACKOFF_JITTER_MS = settings.backoffJitterMs;
+  CONFIG.PROMPT_PREVIEW_LENGTH = settings.promptPreviewLength;
+  CONFIG.TOKEN_MAX_AGE_MS = settings.tokenMaxAgeMin * 60000;
+  CONFIG.TOKEN_STALE_PAUSE = settings.tokenStalePause;
+  CONFIG.AUTO_DOWNLOAD = settings.autoDownload;
+  CONFIG.DOWNLOAD_TEMPLATE = settings.downloadTemplate;
+  CONFIG.NOTIFY = {
+    queueDrained: settings.notifyQueueDrained,
+    itemFailed: settings.notifyItemFailed,
+    dailyLimit: settings.notifyDailyLimit,
+    dailyLimitReset: settings.notifyDailyLimitReset,
+    tokenLost: settings.notifyTokenLost,
+    completed: settings.notifyCompleted
+  };
+  CONFIG.DEBUG = settings.debug;
+}
+
+// Saved on the options page: apply to the running engine right away (the
+// next tick re-arms the poll timer with the new interval)
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'sync' || !changes[SETTINGS_STORAGE_KEY]) return;
+  
+  applySettings(resolveSettings(changes[SETTINGS_STORAGE_KEY].newValue));
+  debugLog('Settings updated');
+  kickEngine();
+});
+
+// ============================================================================
+// CONCURRENCY LIMIT
+// ============================================================================
+
+/**
+ * Slots the engine may fill: the settings override, else the limit learned
+ * for the signed-in account, else the common default
+ */
+function getConcurrencyLimit() {
+  return CONFIG.MAX_CONCURRENT_TASKS || engine.detectedLimit || DEFAULT_CONCURRENCY_LIMIT;
+}
+
+/**
+ * Record a concurrency limit observed for the current account. A 429's
+ * `num_tasks` is exact; the pending/v2 count and session hints only show
+ * a lower bound, so they can only raise the limit in use (the default
+ * while none is known), never lower it.
+ */
+async function learnConcurrencyLimit(limit, source, { exact = false } = {}) {
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_CONCURRENCY_LIMIT) return;
+  if (limit === engine.detectedLimit) return;
+  if (!exact && limit <= (engine.detectedLimit ?? DEFAULT_CONCURRENCY_LIMIT)) return;
+  
+  debugLog(`Concurrency limit ${engine.detectedLimit ?? '?'} -> ${limit} (${source})`);
+  engine.detectedLimit = limit;
+  engine.limitSource = source;
+  await saveAccountLimit();
+}
+
+/**
+ * Persist the detected limit under the account it belongs to (only once
+ * the account is known)
+ */
+async function saveAccountLimit() {
+  if (!engine.accountId || engine.detectedLimit === null) return;
+  
+  try {
+    const result = await chrome.storage.local.get([STORAGE_KEYS.ACCOUNT_LIMITS]);
+    const limits = result[STORAGE_KEYS.ACCOUNT_LIMITS] || {};
+    limits[engine.accountId] = {
+      limit: engine.detectedLimit,
+      source: engine.limitSource,
+      updatedAt: Date.now()
+    };
+    await chrome.storage.local.set({ [STORAGE_KEYS.ACCOUNT_LIMITS]: limits });
+  } catch (err) {
+    debugLog('saveAccountLimit error:', err.message);
+  }
+}
+
+// ============================================================================
+// ACCOUNTS
+// ============================================================================
+
+/**
+ * Identify the signed-in account through the engine tab. A new account
+ * switches to the concurrency limit stored for it and, if the loaded queue
+ * belongs to another account, to its own queue partition. Throttled to
+ * ACCOUNT_CHECK_INTERVAL_MS (a minute after a failed check).
+ */
+async function checkAccount(tabId) {
+  const now = Date.now();
+  if (engine.accountCheckedAt && now - engine.accountCheckedAt < CONFIG.ACCOUNT_CHECK_INTERVAL_MS) return;
+  engine.accountCheckedAt = now;
+  
+  const info = await executeGetAccountInfo(tabId);
+  if (!info.success || !info.accountId) {
+    debugLog('Account info unavailable:', info.error || 'no account ID');
+    engine.accountCheckedAt = now - CONFIG.ACCOUNT_CHECK_INTERVAL_MS + CONFIG.ACCOUNT_RETRY_MS;
+    return;
+  }
+  
+  if (info.accountId !== engine.accountId) {
+    const result = await chrome.storage.local.get([STORAGE_KEYS.ACCOUNT_LIMITS]);
+    const stored = (result[STORAGE_KEYS.ACCOUNT_LIMITS] || {})[info.accountId];
+    
+    if (engine.accountId === null && engine.detectedLimit !== null && !stored) {
+      // Learned before we knew whose it was: this account's
+      engine.accountId = info.accountId;
+      await saveAccountLimit();
+    } else {
+      engine.accountId = info.accountId;
+      engine.detectedLimit = stored?.limit ?? null;
+      engine.limitSource = stored?.source ?? null;
+    }
+    debugLog(`Account detected (limit=${engine.detectedLimit ?? 'unknown'})`);
+  }
+  engine.accountLabel = info.label;
+  
+  // A token captured since the last check came from this account
+  if (engine.tokenSource && !engine.tokenSource.accountId) {
+    engine.tokenSource = { ...engine.tokenSource, accountId: info.accountId };
+    await writeTokenStorage({ [STORAGE_KEYS.TOKEN_SOURCE]: engine.tokenSource });
+  }
+  
+  if (!engine.queueAccountId) {
+    // Queue from before accounts were tracked: it belongs to this one
+    engine.queueAccountId = info.accountId;
+    engine.queueAccountLabel = info.label;
+    await assignCreditsToAccount(info.accountId);
+    await saveQueue();
+  } else if (engine.queueAccountId !== info.accountId) {
+    await switchAccountPartition(info.accountId, info.label);
+  } else if (engine.queueAccountLabel !== info.label) {
+    engine.queueAccountLabel = info.label;
+    await saveQueue();
+  }
+  
+  if (info.limit) {
+    await learnConcurrencyLimit(info.limit, 'account');
+  }
+}
+
+/**
+ * Whether the signed-in account may submit the loaded queue. Until an
+ * account has been seen the queue has no owner and is not held back.
+ */
+function isQueueOwnerSignedIn() {
+  return !engine.queueAccountId || engine.accountId === engine.queueAccountId;
+}
+
+/**
+ * Park the loaded queue, credits and token under their account and load
+ * the signed-in account's (empty ones if it has none yet)
+ */
+async function switchAccountPartition(accountId, label) {
+  const fromId = engine.queueAccountId;
+  const fromLabel = engine.queueAccountLabel || fromId;
+  const accounts = await loadParkedAccounts();
+  
+  accounts[fromId] = {
+    label: engine.queueAccountLabel,
+    queueState: getQueueSnapshot(),
+    credits: engine.credits,
+    parkedAt: Date.now()
+  };
+  const target = accounts[accountId] || null;
+  delete accounts[accountId];
+  
+  applyQueueState(target?.queueState || {});
+  normalizeQueueState();
+  engine.queueAccountId = accountId;
+  engine.queueAccountLabel = label;
+  engine.lastQueueId = null;
+  engine.credits = target?.credits || createCredits(accountId);
+  
+  await saveParkedAccounts(accounts);
+  await swapAccountTokens(fromId, accountId);
+  await saveCredits();
+  await saveQueue();
+  
+  const waiting = countWaiting(accounts[fromId].queueState.queue);
+  debugLog(`Account switched: queue partition ${fromId} -> ${accountId}`);
+  notifyViews(
+    `Signed in as ${label || 'another account'}, not ${fromLabel}. Showing this account's queue; ` +
+    `${waiting} waiting prompt(s) of ${fromLabel} are kept until it signs in again.`,
+    'warning'
+  );
+}
+
+/**
+ * Park the current token with the account it came from and restore the
+ * signed-in account's, unless the current one already is its own
+ */
+async function swapAccountTokens(fromId, toId) {
+  const current = await getCapturedHeaders();
+  const tokens = await readTokenStorage(STORAGE_KEYS.ACCOUNT_TOKENS) || {};
+  
+  if (current.token && current.source?.accountId === toId) {
+    delete tokens[toId];
+  } else {
+    if (current.token && current.source?.accountId === fromId) {
+      tokens[fromId] = {
+        [STORAGE_KEYS.TOKEN]: current.token,
+        [STORAGE_KEYS.DEVICE_ID]: current.deviceId,
+        [STORAGE_KEYS.LANGUAGE]: current.language,
+        [STORAGE_KEYS.TOKEN_CAPTURED_AT]: current.capturedAt,
+        [STORAGE_KEYS.TOKEN_SOURCE]: current.source
+      };
+    }
+    
+    const saved = tokens[toId];
+    delete tokens[toId];
+    await removeCapturedHeaders();
+    if (saved) {
+      await writeTokenStorage(saved);
+    }
+  }
+  await writeTokenStorage({ [STORAGE_KEYS.ACCOUNT_TOKENS]: tokens });
+  
+  const status = await getTokenStatus();
+  engine.hasValidToken = status.hasToken;
+  engine.tokenCapturedAt = status.capturedAt;
+  engine.tokenSource = status.source;
+  notifyAllSoraTabs(status.hasToken ? { type: 'TOKEN_CAPTURED', hasToken: true } : { type: 'TOKEN_CLEARED' });
+}
+
+async function loadParkedAccounts() {
+  try {
+    const result = await chrome.storage.local.get([STORAGE_KEYS.ACCOUNTS]);
+    return result[STORAGE_KEYS.ACCOUNTS] || {};
+  } catch (err) {
+    debugLog('loadParkedAccounts error:', err.message);
+    return {};
+  }
+}
+
+async function saveParkedAccounts(accounts) {
+  engine.parkedAccounts = summarizeParkedAccounts(accounts);
+  try {
+    await chrome.storage.local.set({ [STORAGE_KEYS.ACCOUNTS]: accounts });
+  } catch (err) {
+    debugLog('saveParkedAccounts error:', err.message);
+  }
+}
+
+/**
+ * What the views show about other accounts' queues (no queue contents)
+ */
+function summarizeParkedAccounts(accounts) {
+  return Object.entries(accounts).map(([accountId, parked]) => ({
+    accountId,
+    label: parked.label || null,
+    waiting: countWaiting(parked.queueState?.queue || []),
+    parkedAt: parked.parkedAt
+  }));
+}
+
+function countWaiting(queue) {
+  return queue.filter(item => item.status === 'queued').length;
+}
+
+// ============================================================================
+// CREDITS
+// ============================================================================
+
+/**
+ * Nothing known yet about an account's balance
+ */
+function createCredits(accountId) {
+  return { accountId, remaining: null, resetAt: null, updatedAt: null, costs: {} };
+}
+
+async function loadCredits() {
+  try {
+    const result = await chrome.storage.local.get([STORAGE_KEYS.CREDITS]);
+    engine.credits = { ...engine.credits, ...result[STORAGE_KEYS.CREDITS] };
+  } catch (err) {
+    debugLog('loadCredits error:', err.message);
+  }
+}
+
+async function saveCredits() {
+  try {
+    await chrome.storage.local.set({ [STORAGE_KEYS.CREDITS]: engine.credits });
+  } catch (err) {
+    debugLog('saveCredits error:', err.message);
+  }
+}
+
+/**
+ * Pull `rate_limit_and_credit_balance` out of a create response (success
+ * or error body)
+ */
+function extractCreditBalance(data) {
+  const balance = data?.rate_limit_and_credit_balance || data?.error?.rate_limit_and_credit_balance;
+  if (!balance || !Number.isFinite(balance.credit_remaining)) return null;
+  
+  return {
+    remaining: balance.credit_remaining,
+    resetsInSeconds: Number.isFinite(balance.access_resets_in_seconds) ? balance.access_resets_in_seconds : null
+  };
+}
+
+/**
+ * Update the balance from a create response. After a successful submit
+ * without a balance in the response, the item's estimated cost is
+ * deducted instead; with one, the drop is remembered as that kind of
+ * item's real cost.
+ */
+async function recordCreditBalance(data, submittedItem = null) {
+  const credits = engine.credits;
+  const balance = extractCreditBalance(data);
+  
+  if (balance) {
+    if (submittedItem && credits.remaining !== null && balance.remaining < credits.remaining) {
+      credits.costs[getCostKey(submittedItem.options)] = credits.remaining - balance.remaining;
+    }
+    credits.remaining = balance.remaining;
+    if (balance.resetsInSeconds) {
+      credits.resetAt = Date.now() + balance.resetsInSeconds * 1000;
+    }
+  } else if (submittedItem && credits.remaining !== null) {
+    credits.remaining = Math.max(0, credits.remaining - estimateItemCost(submittedItem.options, credits.costs));
+  } else {
+    return;
+  }
+  
+  credits.updatedAt = Date.now();
+  await saveCredits();
+}
+
+/**
+ * A balance recorded for another account says nothing about this one
+ */
+async function assignCreditsToAccount(accountId) {
+  const credits = engine.credits;
+  if (credits.accountId === accountId) return;
+  
+  if (credits.accountId !== null) {
+    credits.remaining = null;
+    credits.resetAt = null;
+    credits.updatedAt = null;
+  }
+  credits.accountId = accountId;
+  await saveCredits();
+}
+
+/**
+ * Forget the balance once its reset time has passed (unknown until the
+ * next response reports it)
+ */
+function checkCreditReset() {
+  const credits = engine.credits;
+  if (!credits.resetAt || Date.now() < credits.resetAt) return false;
+  
+  credits.remaining = null;
+  credits.resetAt = null;
+  credits.updatedAt = Date.now();
+  return true;
+}
+
+/**
+ * Whether the known balance covers an item (an unknown balance always does;
+ * Sora has the final word)
+ */
+function canAfford(item) {
+  const { remaining, costs } = engine.credits;
+  return remaining === null || estimateItemCost(item.options, costs) <= remaining;
+}
+
+/**
+ * Stop before Sora answers with the daily-limit 429: pause until the
+ * balance resets (or the user resumes)
+ */
+function pauseForCredits(item) {
+  const { remaining, resetAt, costs } = engine.credits;
+  engine.isPaused = true;
+  engine.pauseReason = 'insufficient_credits';
+  engine.dailyLimitResetTime = resetAt;
+  
+  const needed = estimateItemCost(item.options, costs);
+  const until = resetAt ? ` Resets in ${formatDuration(resetAt - Date.now())}.` : '';
+  notifyViews(`Not enough credits for the next prompt (~${needed} needed, ${remaining} left).${until}`, 'warning');
+  showDesktopNotification('dailyLimit', 'Out of credits', `~${needed} needed, ${remaining} left. Automation paused.${until}`);
+  debugLog(`Paused: ~${needed} credits needed, ${remaining} left`);
+}
+
+// ============================================================================
+// QUEUE OPERATIONS
+// ============================================================================
+
+function createItemId() {
+  return `q_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+function isValidVariationCount(value) {
+  return Number.isInteger(value) && value >= 1 && value <= MAX_VARIATIONS;
+}
+
+/**
+ * Validate and append prompts to a named queue (the default one if omitted).
+ * Each entry is { prompt, options, meta }.
+ */
+async function addItems(entries, queueId = DEFAULT_QUEUE_ID) {
+  if (!Array.isArray(entries) || entries.length === 0) {
+    return { success: false, error: 'No prompt provided' };
+  }
+  
+  const config = engine.queues.find(q => q.id === queueId);
+  if (!config) {
+    return { success: false, error: 'Queue not found' };
+  }
+  
+  const items = [];
+  for (const [i, entry] of entries.entries()) {
+    const prompt = typeof entry?.prompt === 'string' ? entry.prompt.trim() : '';
+    if (!prompt) {
+      return { success: false, error: `Item ${i + 1}: no prompt provided` };
+    }
+    
+    const { options, errors } = validateOptions(entry.options || {});
+    if (errors.length > 0) {
+      return { success: false, error: `Item ${i + 1}: ${errors.join(', ')}` };
+    }
+    
+    const meta = entry.meta || {};
+    if (meta.priority !== undefined && !PRIORITIES.includes(meta.priority)) {
+      return { success: false, error: `Item ${i + 1}: priority must be one of ${PRIORITIES.join(', ')}` };
+    }
+    if (meta.variations !== undefined && !isValidVariationCount(meta.variations)) {
+      return { success: false, error: `Item ${i + 1}: variations must be a whole number between 1 and ${MAX_VARIATIONS}` };
+    }
+    if (meta.sequence !== undefined) {
+      const sequenceErrors = validateSequence(meta.sequence);
+      if (sequenceErrors.length > 0) {
+        return { success: false, error: `Item ${i + 1}: ${sequenceErrors.join(', ')}` };
+      }
+    }
+    
+    items.push({
+      id: createItemId(),
+      prompt,
+      options: {
+        ...OPTION_DEFAULTS,
+        ...config.defaultOptions,
+        ...options
+      },
+      queueId: config.id,
+      status: 'queued',           // queued | sending | submitted | processing | succeeded | failed | error | rejected
+      errorMessage: null,
+      errorCode: null,            // CONTENT_POLICY | VALIDATION_ERROR for rejected items
+      retryCount: 0,              // Failed attempts so far
+      nextAttemptAt: null,        // Backoff: earliest time of the next attempt
+      taskId: null,               // Task ID returned by /backend/nf/create
+      notBefore: Number.isFinite(meta.notBefore) ? meta.notBefore : null, // Earliest submission time
+      priority: meta.priority || DEFAULT_PRIORITY, // urgent | normal | low
+      submitNext: false,          // Jumped ahead of every band by the user
+      variations: meta.variations || 1, // Takes of this prompt, each its own create
+      takes: [],                  // One per take sent (see getVariationProgress)
+      sequence: meta.sequence ? createSequenceInfo(meta.sequence) : null, // Shot of a sequence (see getSequenceBlock)
+      submittedAt: null,
+      completedAt: null,
+      download: null,             // Auto-download: { status: pending | done | failed, files, error }
+      templateId: meta.templateId || null,     // Template this prompt was expanded from
+      templateName: meta.templateName || null,
+      createdAt: Date.now(),
+      updatedAt: Date.now()
+    });
+  }
+  
+  engine.queue.push(...items);
+  await saveQueue();
+  debugLog(`Added ${items.length} item(s) to queue`);
+  
+  kickEngine();
+  return { success: true, added: items.length, itemIds: items.map(item => item.id) };
+}
+
+/**
+ * Remove an item from the queue
+ */
+async function removeFromQueue(itemId) {
+  const index = engine.queue.findIndex(item => item.id === itemId);
+  if (index === -1) {
+    return { success: false, error: 'Item not found' };
+  }
+  
+  engine.queue.splice(index, 1);
+  await saveQueue();
+  return { success: true };
+}
+
+/**
+ * Swap an item with its nearest neighbour in the same named queue
+ * ('up' or 'down')
+ */
+async function moveItem(itemId, direction) {
+  const index = engine.queue.findIndex(item => item.id === itemId);
+  const step = direction === 'up' ? -1 : 1;
+  let target = index + step;
+  while (index !== -1 && target >= 0 && target < engine.queue.length &&
+         engine.queue[target].queueId !== engine.queue[index].queueId) {
+    target += step;
+  }
+  
+  if (index === -1 || target < 0 || target >= engine.queue.length) {
+    return { success: false, error: 'Cannot move item' };
+  }
+  
+  [engine.queue[index], engine.queue[target]] = [engine.queue[target], engine.queue[index]];
+  await saveQueue();
+  return { success: true };
+}
+
+/**
+ * Move an item just before another in the same queue and priority band, or
+ * to the end of its band when `beforeId` is null
+ */
+async function reorderItem(itemId, beforeId) {
+  const item = engine.queue.find(i => i.id === itemId);
+  if (!item || item.status !== 'queued') {
+    return { success: false, error: 'Only waiting items can be reordered' };
+  }
+  
+  const rest = engine.queue.filter(i => i !== item);
+  let index;
+  if (beforeId) {
+    const target = rest.find(i => i.id === beforeId);
+    if (!target || target.priority !== item.priority || target.queueId !== item.queueId) {
+      return { success: false, error: 'Items can only be reordered within their priority band' };
+    }
+    index = rest.indexOf(target);
+  } else {
+    const lastInBand = rest.map(i => `${i.queueId}/${i.priority}`).lastIndexOf(`${item.queueId}/${item.priority}`);
+    index = lastInBand === -1 ? rest.length : lastInBand + 1;
+  }
+  
+  rest.splice(index, 0, item);
+  engine.queue = rest;
+  await saveQueue();
+  return { success: true };
+}
+
+/**
+ * Jump a waiting item ahead of everything else, dropping its "not before"
+ * time and any retry backoff (the global schedule still applies)
+ */
+async function submitNext(itemId) {
+  const item = engine.queue.find(i => i.id === itemId);
+  if (!item || item.status !== 'queued') {
+    return { success: false, error: 'Only waiting items can be submitted next' };
+  }
+  
+  // Only one item jumps the queue at a time
+  engine.queue.forEach(i => { i.submitNext = false; });
+  item.submitNext = true;
+  item.notBefore = null;
+  item.nextAttemptAt = null;
+  item.updatedAt = Date.now();
+  engine.queue = [item, ...engine.queue.filter(i => i !== item)];
+  
+  await saveQueue();
+  kickEngine();
+  return { success: true };
+}
+
+/**
+ * Replace an item's prompt and options; failed items go back in the queue
+ */
+async function updateQueueItem({ itemId, prompt, options, notBefore, priority, variations }) {
+  const item = engine.queue.find(i => i.id === itemId);
+  if (!item) {
+    return { success: false, error: 'Item not found' };
+  }
+  if (!EDITABLE_STATUSES.includes(item.status)) {
+    return { success: false, error: 'Item was already sent to Sora' };
+  }
+  if (typeof prompt !== 'string' || !prompt.trim()) {
+    return { success: false, error: 'Prompt cannot be empty' };
+  }
+  
+  if (priority !== undefined && !PRIORITIES.includes(priority)) {
+    return { success: false, error: `Priority must be one of ${PRIORITIES.join(', ')}` };
+  }
+  
+  if (variations !== undefined) {
+    if (!isValidVariationCount(variations)) {
+      return { success: false, error: `Variations must be a whole number between 1 and ${MAX_VARIATIONS}` };
+    }
+    // A queued item keeps the takes it already sent
+    const sent = item.status === 'queued' ? (item.takes?.length || 0) : 0;
+    if (variations <= sent) {
+      return { success: false, error: `${sent} take(s) were already submitted; ask for more than that` };
+    }
+  }
+  
+  const validated = validateOptions(options || {});
+  if (validated.errors.length > 0) {
+    return { success: false, error: validated.errors.join(', ') };
+  }
+  
+  item.prompt = prompt.trim();
+  item.options = validated.options;
+  item.notBefore = Number.isFinite(notBefore) ? notBefore : null;
+  if (priority !== undefined) item.priority = priority;
+  if (variations !== undefined) item.variations = variations;
+  item.nextAttemptAt = null;
+  item.updatedAt = Date.now();
+  if (item.status !== 'queued') {
+    // A fresh ID gives the rewritten prompt its own history entry
+    item.id = createItemId();
+    item.status = 'queued';
+    item.errorMessage = null;
+    item.errorCode = null;
+    item.retryCount = 0;
+    item.taskId = null;
+    item.takes = [];
+    clearRunState(item);
+  }
+  
+  await saveQueue();
+  kickEngine();
+  return { success: true, itemId: item.id };
+}
+
+/**
+ * Remove every item in one of the given statuses (any status if omitted),
+ * limited to one named queue when `queueId` is given
+ */
+async function clearItems(statuses, queueId = null) {
+  const before = engine.queue.length;
+  engine.queue = engine.queue.filter(item =>
+    (queueId && item.queueId !== queueId) ||
+    (Array.isArray(statuses) && !statuses.includes(item.status))
+  );
+  await saveQueue();
+  return { success: true, removed: before - engine.queue.length };
+}
+
+/**
+ * Whether "retry now" applies: a failed item, or one waiting out a backoff.
+ * Rejected prompts have to be edited instead.
+ */
+function isRetryable(item) {
+  return item.status === 'error' || item.status === 'failed' || item.status === 'unknown' ||
+    (item.status === 'queued' && item.nextAttemptAt > Date.now());
+}
+
+/**
+ * Make an item eligible again right away. Failed items start over with a
+ * fresh attempt budget but keep their ID, so history counts the attempts.
+ */
+function resetForRetry(item) {
+  item.nextAttemptAt = null;
+  if (item.status === 'failed' || item.status === 'unknown') {
+    // Every take finished without a video; one that errored on submit keeps those already sent
+    item.takes = [];
+  }
+  if (item.status !== 'queued') {
+    item.status = 'queued';
+    item.errorMessage = null;
+    item.retryCount = 0;
+    item.taskId = null;
+    item.submittedAt = null;
+    item.completedAt = null;
+    clearRunState(item);
+  }
+  item.updatedAt = Date.now();
+}
+
+/**
+ * Forget what the previous run of a re-queued item looked up: drafts
+ * lookups, its download and the generation its shot was linked to
+ */
+function clearRunState(item) {
+  item.lookups = 0;
+  (item.takes || []).forEach(take => {
+    take.lookups = 0;
+  });
+  item.download = null;
+  if (item.sequence) {
+    item.sequence.linkedGenerationId = null;
+    item.sequence.linkLookups = 0;
+  }
+}
+
+async function retryItem(itemId) {
+  const item = engine.queue.find(i => i.id === itemId);
+  if (!item || !isRetryable(item)) {
+    return { success: false, error: 'Only failed or backing-off items can be retried' };
+  }
+  
+  resetForRetry(item);
+  await saveQueue();
+  kickEngine();
+  return { success: true };
+}
+
+/**
+ * Re-queue every failed item, limited to one named queue when `queueId`
+ * is given
+ */
+async function retryFailedItems(queueId = null) {
+  const items = engine.queue.filter(item =>
+    (item.status === 'error' || item.status === 'failed' || item.status === 'unknown') &&
+    (!queueId || item.queueId === queueId)
+  );
+  
+  items.forEach(resetForRetry);
+  await saveQueue();
+  
+  if (items.length > 0) kickEngine();
+  return { success: true, retried: items.length };
+}
+
+/**
+ * Add a named queue with default settings
+ */
+async function createQueue(name) {
+  if (typeof name !== 'string' || !name.trim()) {
+    return { success: false, error: 'Queue name is required' };
+  }
+  
+  const config = createQueueConfig(`p_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`, name.trim());
+  engine.queues.push(config);
+  await saveQueue();
+  return { success: true, queueId: config.id };
+}
+
+/**
+ * Update a named queue's name, enabled flag, slot share or default options
+ */
+async function configureQueue({ queueId, ...changes }) {
+  const index = engine.queues.findIndex(q => q.id === queueId);
+  if (index === -1) {
+    return { success: false, error: 'Queue not found' };
+  }
+  
+  const config = { ...engine.queues[index] };
+  for (const key of ['name', 'isEnabled', 'slots', 'defaultOptions']) {
+    if (changes[key] !== undefined) config[key] = changes[key];
+  }
+  if (typeof config.name === 'string') config.name = config.name.trim();
+  
+  const errors = validateQueueConfig(config);
+  if (errors.length > 0) {
+    return { success: false, error: errors.join(', ') };
+  }
+  config.defaultOptions = validateOptions(config.defaultOptions).options;
+  
+  engine.queues[index] = config;
+  await saveQueue();
+  
+  kickEngine();
+  return { success: true };
+}
+
+/**
+ * Delete a named queue and every item in it
+ */
+async function deleteQueue(queueId) {
+  if (queueId === DEFAULT_QUEUE_ID) {
+    return { success: false, error: 'The default queue cannot be deleted' };
+  }
+  if (!engine.queues.some(q => q.id === queueId)) {
+    return { success: false, error: 'Queue not found' };
+  }
+  
+  engine.queues = engine.queues.filter(q => q.id !== queueId);
+  engine.queue = engine.queue.filter(item => item.queueId !== queueId);
+  await saveQueue();
+  return { success: true };
+}
+
+async function setSchedulingMode(mode) {
+  if (!SCHEDULING_MODES.includes(mode)) {
+    return { success: false, error: `Mode must be one of ${SCHEDULING_MODES.join(', ')}` };
+  }
+  
+  engine.schedulingMode = mode;
+  await saveQueue();
+  return { success: true };
+}
+
+/**
+ * Play/pause: a paused engine resumes, otherwise automation is toggled
+ */
+async function toggleAutomation() {
+  if (engine.isPaused) {
+    return resumeAutomation();
+  }
+  
+  engine.isAutomationEnabled = !engine.isAutomationEnabled;
+  await saveQueue();
+  debugLog('Automation toggled:', engine.isAutomationEnabled);
+  
+  if (engine.isAutomationEnabled) kickEngine();
+  return { success: true, isAutomationEnabled: engine.isAutomationEnabled };
+}
+
+async function resumeAutomation() {
+  // Resuming past a credit pause means the user expects more credits than
+  // we know of (e.g. bought some): trust Sora's next answer instead
+  if (engine.pauseReason === 'insufficient_credits') {
+    engine.credits.remaining = null;
+    await saveCredits();
+  }
+  
+  engine.isPaused = false;
+  engine.pauseReason = null;
+  engine.isAutomationEnabled = true;
+  await saveQueue();
+  
+  kickEngine();
+  return { success: true, isAutomationEnabled: true };
+}
+
+async function setSchedule(schedule) {
+  if (schedule != null) {
+    const errors = validateSchedule(schedule);
+    if (errors.length > 0) {
+      return { success: false, error: errors.join(', ') };
+    }
+  }
+  
+  engine.schedule = schedule || null;
+  await saveQueue();
+  
+  kickEngine();
+  return { success: true };
+}
+
+/**
+ * Replace the retry policy; null goes back to the defaults
+ */
+async function setRetryPolicy(policy) {
+  if (policy != null) {
+    const errors = validateRetryPolicy(policy);
+    if (errors.length > 0) {
+      return { success: false, error: errors.join(', ') };
+    }
+  }
+  
+  engine.retryPolicy = policy || null;
+  await saveQueue();
+  return { success: true };
+}
+
+/**
+ * Apply a backup (re-validated here, the views only parse it). 'replace'
+ * swaps in the backup's items and pause state; 'merge' appends items whose
+ * IDs are not already queued.
+ */
+async function restoreBackup(backup, mode) {
+  const errors = validateBackupState(backup?.state);
+  if (errors.length > 0) {
+    return { success: false, error: errors.join('; ') };
+  }
+  
+  const items = backup.state.queue.map(item => normalizeItem({ ...item, updatedAt: Date.now() }));
+  
+  let added;
+  if (mode === 'replace') {
+    engine.queue = items;
+    engine.isPaused = backup.state.isPaused;
+    engine.pauseReason = backup.state.pauseReason || null;
+    engine.dailyLimitResetTime = backup.state.dailyLimitResetTime || null;
+    engine.isAutomationEnabled = backup.state.isAutomationEnabled;
+    engine.schedule = backup.state.schedule || null;
+    engine.queues = backup.state.queues;
+    engine.schedulingMode = backup.state.schedulingMode;
+    engine.retryPolicy = backup.state.retryPolicy || null;
+    engine.lastQueueId = null;
+    // The backup may lack the default queue every later add relies on
+    normalizeQueueState();
+    added = items.length;
+  } else {
+    // Bring along any named queues the merged items belong to
+    const knownQueues = new Set(engine.queues.map(q => q.id));
+    engine.queues.push(...backup.state.queues.filter(q => !knownQueues.has(q.id)));
+    
+    const existing = new Set(engine.queue.map(item => item.id));
+    const newItems = items.filter(item => !existing.has(item.id));
+    engine.queue.push(...newItems);
+    added = newItems.length;
+  }
+  
+  await saveQueue();
+  kickEngine();
+  
+  debugLog(`Restored backup (${mode}): ${added} items`);
+  return { success: true, added };
+}
+
+/**
+ * Update item status
+ */
+function updateItemStatus(itemId, status, errorMessage = null) {
+  const item = engine.queue.find(i => i.id === itemId);
+  if (item) {
+    item.status = status;
+    item.errorMessage = errorMessage;
+    item.updatedAt = Date.now();
+    if (status === 'error') {
+      item.retryCount++;
+    }
+  }
+}
+
+/**
+ * Record a successful create: keep the item and remember its task ID. An
+ * item with takes left to send goes back to the queue.
+ */
+function markItemSubmitted(itemId, taskId) {
+  const item = engine.queue.find(i => i.id === itemId);
+  if (item) {
+    item.status = 'submitted';
+    if (getVariationCount(item) > 1) {
+      item.takes = [...(item.takes || []), {
+        taskId: taskId || null,
+        status: 'submitted',
+        errorMessage: null,
+        submittedAt: Date.now(),
+        completedAt: null
+      }];
+      if (item.takes.length < item.variations) item.status = 'queued';
+    }
+    item.errorMessage = null;
+    item.submitNext = false;
+    item.nextAttemptAt = null;
+    item.taskId = taskId || null;
+    item.submittedAt = Date.now();
+    item.updatedAt = Date.now();
+  }
+}
+
+// ============================================================================
+// AUTOMATION ENGINE
+// ============================================================================
+
+/**
+ * Start the engine loop. The periodic alarm restarts it whenever the
+ * service worker has been suspended.
+ */
+async function startEngine() {
+  await chrome.alarms.create(ENGINE_ALARM, { periodInMinutes: ENGINE_ALARM_PERIOD_MIN });
+  await ensureLoaded();
+  kickEngine();
+}
+
+/**
+ * Run a tick now instead of waiting for the next poll
+ */
+function kickEngine() {
+  engineTick().catch(err => debugLog('Engine tick error:', err.message));
+}
+
+/**
+ * One engine cycle: poll pending tasks, advance submitted items, then
+ * submit the next eligible prompt if a slot is free
+ */
+async function engineTick() {
+  if (engine.isTicking) return;
+  engine.isTicking = true;
+  
+  try {
+    await ensureLoaded();
+    
+    if (checkCreditReset()) {
+      await saveCredits();
+    }
+    
+    if (checkDailyLimitReset()) {
+      await saveQueue();
+      notifyViews('Daily limit reset! Resuming...', 'success');
+      showDesktopNotification('dailyLimitReset', 'Daily limit reset', 'Resuming the queue.');
+    }
+    
+    checkTokenFreshness();
+    
+    await pollPendingTasks();
+    if (failStrandedShots()) {
+      await saveQueue();
+      notifyIfDrained();
+    }
+    await checkAndSubmit();
+  } finally {
+    engine.isTicking = false;
+    await saveEngineStatus();
+    schedulePoll();
+  }
+}
+
+function schedulePoll() {
+  clearTimeout(engine.pollTimeoutId);
+  
+  // Nothing to watch: let the worker sleep until a message or alarm
+  const hasWork = engine.queue.some(item =>
+    item.status === 'queued' || item.status === 'submitted' || item.status === 'processing'
+  );
+  if (!hasWork) {
+    engine.pollTimeoutId = null;
+    return;
+  }
+  
+  engine.pollTimeoutId = setTimeout(kickEngine, CONFIG.POLL_INTERVAL_MS);
+}
+
+/**
+ * Pick a loaded Sora tab for MAIN-world calls, preferring the last one used
+ */
+async function getEngineTabId() {
+  if (engine.tabId) {
+    try {
+      const tab = await chrome.tabs.get(engine.tabId);
+      if (tab.status === 'complete' && !tab.discarded) return tab.id;
+    } catch {
+      // Tab was closed
+    }
+    engine.tabId = null;
+  }
+  
+  try {
+    const tabs = await chrome.tabs.query({ url: 'https://sora.chatgpt.com/*', status: 'complete' });
+    const usable = tabs.filter(tab => !tab.discarded);
+    const tab = usable.find(t => t.active) || usable[0];
+    engine.tabId = tab ? tab.id : null;
+  } catch (err) {
+    debugLog('getEngineTabId error:', err.message);
+  }
+  
+  return engine.tabId;
+}
+
+/**
+ * Poll pending tasks through the engine tab
+ */
+async function pollPendingTasks() {
+  const tabId = await getEngineTabId();
+  if (!tabId) {
+    engine.mainWorldReady = false;
+    return;
+  }
+  
+  const result = await executePollPending(tabId);
+  
+  if (result.success) {
+    engine.activeTaskCount = result.activeCount;
+    engine.lastPollTime = Date.now();
+    engine.mainWorldReady = true;
+    
+    await checkAccount(tabId);
+    await learnConcurrencyLimit(result.activeCount, 'pending');
+    
+    if (await syncTaskStatuses(tabId, result.tasks || [])) {
+      await saveQueue();
+      notifyIfDrained();
+    }
+    await downloadFinishedVideos(tabId);
+    await resolveSequenceLinks(tabId);
+  } else {
+    debugLog('Poll failed:', result.error, result.message || '');
+    
+    if (result.error === 'EXECUTE_FAILED') {
+      // Tab navigated away or is not scriptable; pick another next time
+      engine.mainWorldReady = false;
+      engine.tabId = null;
+    }
+  }
+}
+
+/**
+ * Match submitted items against the pending/v2 payload and advance their
+ * status. pending/v2 only lists unfinished tasks, so a task that drops out
+ * of it is treated as finished. Returns whether anything changed.
+ */
+async function syncTaskStatuses(tabId, tasks) {
+  const now = Date.now();
+  let changed = false;
+  
+  for (const item of engine.queue) {
+    if (getVariationCount(item) > 1) {
+      if (await syncVariationTakes(tabId, item, tasks, now)) changed = true;
+      continue;
+    }
+    if (item.status !== 'submitted' && item.status !== 'processing') continue;
+    
+    const next = await resolveTaskStatus(tabId, item, tasks, now);
+    if (next.status !== item.status) {
+      debugLog(`Task ${item.taskId || item.id}: ${item.status} -> ${next.status}`);
+      applyTaskStatus(item, next.status, next.errorMessage, now);
+      changed = true;
+    }
+  }
+  
+  return changed;
+}
+
+/**
+ * Where a submitted task (an item or one of its takes) stands. pending/v2
+ * only lists running tasks, so one that left it may have succeeded, failed
+ * or been moderated: it only counts as succeeded once its video is in the
+ * drafts, and as 'unknown' after CONFIRM_MAX_LOOKUPS polls without one.
+ */
+async function resolveTaskStatus(tabId, holder, tasks, now) {
+  const { status, taskId, submittedAt, errorMessage } = holder;
+  const task = taskId ? findPendingTask(tasks, taskId) : null;
+  
+  if (task) {
+    const taskStatus = (task.status || '').toLowerCase();
+    if (FAILED_TASK_STATUSES.includes(taskStatus)) {
+      return { status: 'failed', errorMessage: task.failure_reason || task.error?.message || 'Generation failed' };
+    }
+    if (SUCCEEDED_TASK_STATUSES.includes(taskStatus)) {
+      return { status: 'succeeded', errorMessage };
+    }
+    return { status: 'processing', errorMessage };
+  }
+  
+  // A new task can take a moment to show up in pending/v2
+  if (status !== 'processing' && now - (submittedAt || 0) <= CONFIG.SUBMITTED_GRACE_MS) {
+    return { status, errorMessage };
+  }
+  if (!taskId) {
+    return { status: 'unknown', errorMessage: 'Sora returned no task ID; check Sora for the result' };
+  }
+  
+  const media = await executeGetTaskMedia(tabId, [taskId]);
+  if (media.success && media.found) {
+    return { status: 'succeeded', errorMessage };
+  }
+  holder.lookups = (holder.lookups || 0) + 1;
+  if (media.error !== 'UNEXPECTED_RESPONSE' && holder.lookups < CONFIG.CONFIRM_MAX_LOOKUPS) {
+    return { status, errorMessage };
+  }
+  return {
+    status: 'unknown',
+    errorMessage: media.success
+      ? 'Finished without a video in drafts; check Sora for the result'
+      : `Could not confirm the result (${media.message || media.error}); check Sora`
+  };
+}
+
+/**
+ * Advance the takes of a multi-variation item. The item itself finishes
+ * with its last take: succeeded if any take did, failed otherwise.
+ */
+async function syncVariationTakes(tabId, item, tasks, now) {
+  let changed = false;
+  
+  for (const take of item.takes || []) {
+    if (take.status !== 'submitted' && take.status !== 'processing') continue;
+    
+    const next = await resolveTaskStatus(tabId, take, tasks, now);
+    if (next.status !== take.status) {
+      debugLog(`Task ${take.taskId}: ${take.status} -> ${next.status}`);
+      take.status = next.status;
+      take.errorMessage = next.status === 'failed' || next.status === 'unknown' ? next.errorMessage : null;
+      if (FINISHED_STATUSES.includes(next.status)) {
+        take.completedAt = now;
+      }
+      changed = true;
+    }
+  }
+  if (!changed) return false;
+  
+  // Takes still waiting to be sent keep the item queued
+  if (item.status === 'submitted' || item.status === 'processing') {
+    const progress = getVariationProgress(item);
+    if (progress.finished < progress.total) {
+      item.status = 'processing';
+    } else if (progress.succeeded > 0) {
+      applyTaskStatus(item, 'succeeded', null, now);
+      return true;
+    } else {
+      // Failed if any take is known to have failed, else unknown
+      const failed = item.takes.filter(take => take.status === 'failed');
+      const last = failed[failed.length - 1] || item.takes[item.takes.length - 1];
+      applyTaskStatus(item, failed.length > 0 ? 'failed' : 'unknown', last.errorMessage, now);
+      return true;
+    }
+  }
+  
+  item.updatedAt = now;
+  updateHistory(item, { status: item.status, takes: item.takes });
+  return true;
+}
+
+/**
+ * Move a submitted item to its next status, with its history entry,
+ * notification and (once it succeeded) download
+ */
+function applyTaskStatus(item, nextStatus, errorMessage, now) {
+  item.status = nextStatus;
+  item.errorMessage = errorMessage;
+  item.updatedAt = now;
+  if (FINISHED_STATUSES.includes(nextStatus)) {
+    item.completedAt = now;
+  }
+  updateHistory(item, {
+    status: nextStatus,
+    errorMessage: nextStatus === 'failed' || nextStatus === 'unknown' ? errorMessage : null,
+    completedAt: item.completedAt || null,
+    ...(item.takes?.length > 0 && { takes: item.takes })
+  });
+  if (nextStatus === 'succeeded') {
+    if (CONFIG.AUTO_DOWNLOAD && item.taskId) {
+      item.download = { status: 'pending', lookups: 0, files: [], error: null };
+    }
+    showDesktopNotification('completed', 'Generation completed', truncatePrompt(item.prompt));
+  } else if (nextStatus === 'failed') {
+    showDesktopNotification('itemFailed', 'Generation failed', `${truncatePrompt(item.prompt)}\n${errorMessage}`);
+  } else if (nextStatus === 'unknown') {
+    showDesktopNotification('itemFailed', 'Generation result unknown', `${truncatePrompt(item.prompt)}\n${errorMessage}`);
+  }
+}
+
+function findPendingTask(tasks, taskId) {
+  return tasks.find(t => t && (t.id === taskId || t.task_id === taskId)) || null;
+}
+
+/**
+ * Check conditions and submit next queued item if possible
+ */
+async function checkAndSubmit() {
+  // Guard conditions
+  if (!engine.isAutomationEnabled) return;
+  if (engine.isPaused) return;
+  if (engine.isSubmitting) return;
+  if (!engine.hasValidToken) return;
+  if (!engine.mainWorldReady) return;
+  if (!isQueueOwnerSignedIn()) return;
+  if (engine.activeTaskCount >= getConcurrencyLimit()) return;
+  
+  // Check daily limit
+  if (engine.dailyLimitResetTime && Date.now() < engine.dailyLimitResetTime) return;
+  
+  // Check cooldown
+  if (engine.lastSubmitTime && (Date.now() - engine.lastSubmitTime) < CONFIG.SUBMIT_COOLDOWN_MS) {
+    return;
+  }
+  
+  // Next eligible item, sharing slots across named queues
+  const nextItem = pickNextAcrossQueues(engine.queue, engine.queues, {
+    schedule: engine.schedule,
+    mode: engine.schedulingMode,
+    lastQueueId: engine.lastQueueId,
+    maxSlots: getConcurrencyLimit()
+  });
+  if (!nextItem) return;
+  
+  if (!canAfford(nextItem)) {
+    pauseForCredits(nextItem);
+    await saveQueue();
+    return;
+  }
+  
+  engine.lastQueueId = nextItem.queueId;
+  
+  // Submit
+  await submitQueueItem(nextItem);
+}
+
+/**
+ * Submit a single queue item
+ */
+async function submitQueueItem(item) {
+  engine.isSubmitting = true;
+  engine.lastSubmitTime = Date.now();
+  updateItemStatus(item.id, 'sending');
+  await saveQueue();
+  
+  debugLog('Submitting:', item.id);
+  
+  try {
+    const result = await executeSubmitPrompt(engine.tabId, {
+      prompt: item.prompt,
+      options: item.options
+    });
+    
+    if (result.success) {
+      // Success - keep the item and track it through pending/v2
+      markItemSubmitted(item.id, result.taskId);
+      await markTokenVerified();
+      const { total, submitted } = getVariationProgress(item);
+      notifyViews(`Submitted${total > 1 ? ` take ${submitted}/${total}` : ''}: "${truncatePrompt(item.prompt)}"`, 'success');
+      
+      // Increment active count optimistically
+      engine.activeTaskCount++;
+      
+      debugLog('Submission successful');
+      
+    } else {
+      // Handle different error types
+      await handleSubmitError(item, result);
+    }
+    
+    // A tab that failed to run the request (or a stale token held back)
+    // never reached Sora
+    if (result.error !== 'EXECUTE_FAILED' && result.error !== 'TOKEN_STALE') {
+      recordSubmission(item, result);
+      await recordCreditBalance(result.data, result.success ? item : null);
+    }
+    
+  } catch (error) {
+    debugLog('Submit error:', error.message);
+    updateItemStatus(item.id, 'error', error.message);
+    recordSubmission(item, { success: false, error: 'EXCEPTION', message: error.message });
+    
+  } finally {
+    engine.isSubmitting = false;
+    await saveQueue();
+    notifyIfDrained();
+  }
+}
+
+/**
+ * Handle submission errors
+ */
+async function handleSubmitError(item, result) {
+  debugLog('Submit error:', result.error, result.message);
+  
+  switch (result.error) {
+    case 'EXECUTE_FAILED':
+      // The engine tab went away mid-submit; try again from another tab
+      updateItemStatus(item.id, 'queued');
+      engine.mainWorldReady = false;
+      engine.tabId = null;
+      break;
+      
+    case 'CONCURRENT_LIMIT':
+      // Requeue and wait for next poll; the task count is the real limit
+      updateItemStatus(item.id, 'queued');
+      if (result.numTasks) {
+        await learnConcurrencyLimit(result.numTasks, '429', { exact: true });
+      }
+      engine.activeTaskCount = result.numTasks || Math.max(engine.activeTaskCount, getConcurrencyLimit());
+      notifyViews(`At concurrent limit (${getConcurrencyLimit()}). Waiting...`, 'warning');
+      scheduleBackoffRetry();
+      break;
+      
+    case 'DAILY_LIMIT': {
+      // Pause automation - DO NOT retry in a loop
+      engine.isPaused = true;
+      engine.pauseReason = 'daily_limit';
+      engine.dailyLimitResetTime = result.resetTime;
+      updateItemStatus(item.id, 'queued'); // Keep in queue for later
+      
+      const resetDuration = result.resetSeconds 
+        ? formatDuration(result.resetSeconds * 1000) 
+        : 'unknown time';
+      notifyViews(`Daily limit reached. Resets in ${resetDuration}`, 'error');
+      showDesktopNotification('dailyLimit', 'Daily limit reached', `Automation paused. Resets in ${resetDuration}.`);
+      debugLog(`Daily limit - resets in ${result.resetSeconds}s`);
+      break;
+    }
+      
+    case 'TOKEN_STALE':
+      // Held back before sending; wait for a fresh capture to resume
+      updateItemStatus(item.id, 'queued');
+      engine.isPaused = true;
+      engine.pauseReason = 'token_stale';
+      notifyViews(`${result.message} Queue paused until then.`, 'warning');
+      break;
+      
+    case 'NO_TOKEN':
+    case 'AUTH_ERROR':
+      // Need manual generation to capture token
+      engine.hasValidToken = false;
+      updateItemStatus(item.id, 'error', 'Token needed');
+      notifyViews('Please generate once manually to capture token.', 'warning');
+      showDesktopNotification('tokenLost', 'Token lost', 'Generate once manually in Sora to capture a new token.');
+      break;
+      
+    case 'CONTENT_POLICY':
+    case 'VALIDATION_ERROR':
+      rejectItem(item, result);
+      break;
+      
+    default:
+      // Network, 5xx, unknown 429, ...: up to the retry policy
+      applyRetryPolicy(item, result);
+  }
+}
+
+/**
+ * Sora refused the prompt itself; sending it again would fail the same way,
+ * so it waits for the user to rewrite it (never auto-retried)
+ */
+function rejectItem(item, result) {
+  item.status = 'rejected';
+  item.errorCode = result.error;
+  item.errorMessage = result.message;
+  item.nextAttemptAt = null;
+  item.retryCount++;
+  item.updatedAt = Date.now();
+  
+  const label = result.error === 'CONTENT_POLICY' ? 'Blocked by content policy' : 'Rejected as invalid';
+  notifyViews(`${label}: ${result.message}`, 'error');
+  showDesktopNotification('itemFailed', label, `${truncatePrompt(item.prompt)}\n${result.message}`);
+}
+
+/**
+ * Count a failed attempt and either schedule the next one (exponential
+ * backoff per failure class) or give up and mark the item as an error
+ */
+function applyRetryPolicy(item, result) {
+  const failureClass = classifyFailure(result);
+  const attempt = item.retryCount + 1;
+  const decision = getRetryDecision(resolveRetryPolicy(engine.retryPolicy), failureClass, attempt);
+  const message = result.message || result.data?.error?.message ||
+    (result.status ? `HTTP ${result.status}` : 'Unknown error');
+  
+  item.retryCount = attempt;
+  item.errorMessage = message;
+  item.updatedAt = Date.now();
+  
+  if (decision.retry) {
+    item.status = 'queued';
+    item.nextAttemptAt = Date.now() + decision.delayMs;
+    debugLog(`Retry ${attempt}/${decision.maxAttempts} (${failureClass}) in ${Math.round(decision.delayMs / 1000)}s`);
+    notifyViews(`${message} - retrying in ${formatDuration(decision.delayMs)} (attempt ${attempt}/${decision.maxAttempts})`, 'warning');
+  } else {
+    item.status = 'error';
+    item.nextAttemptAt = null;
+    const suffix = attempt > 1 ? ` (gave up after ${attempt} attempts)` : '';
+    notifyViews(`Error: ${message}${suffix}`, 'error');
+    showDesktopNotification('itemFailed', 'Prompt failed', `${truncatePrompt(item.prompt)}\n${message}${suffix}`);
+  }
+}
+
+/**
+ * Wake the engine once the concurrent-limit wait is over
+ */
+function scheduleBackoffRetry() {
+  const backoff = CONFIG.BACKOFF_BASE_MS + Math.random() * CONFIG.BACKOFF_JITTER_MS;
+  debugLog(`Backing off for ${Math.round(backoff / 1000)}s`);
+  
+  setTimeout(kickEngine, backoff);
+}
+
+// ============================================================================
+// GENERATION HISTORY
+// ============================================================================
+
+/**
+ * Record a submission attempt (and the server's response) in history
+ */
+function recordSubmission(item, result) {
+  updateHistory(item, {
+    // An item put back in the queue after a rejected attempt will be
+    // retried; after a successful one it has more takes to send
+    status: item.status === 'queued' ? (result.success ? 'submitted' : 'retrying') : item.status,
+    taskId: item.taskId || null,
+    ...(getVariationCount(item) > 1 && { variations: item.variations, takes: item.takes }),
+    ...(item.sequence && { sequence: { name: item.sequence.name, index: item.sequence.index, total: item.sequence.total } }),
+    httpStatus: result.status ?? null,
+    response: result.data ?? null,
+    errorCode: result.success ? null : (result.error || null),
+    errorMessage: result.success ? null : (item.errorMessage || result.message || null),
+    submittedAt: Date.now()
+  }, { isAttempt: true });
+}
+
+/**
+ * Upsert the history entry for a queue item. Entries live under their own
+ * storage key so clearing the queue never touches them. Only prompts that
+ * were actually sent get an entry.
+ */
+function updateHistory(item, patch, { isAttempt = false } = {}) {
+  engine.historyWriteChain = engine.historyWriteChain.then(async () => {
+    const result = await chrome.storage.local.get([STORAGE_KEYS.HISTORY]);
+    const entries = result[STORAGE_KEYS.HISTORY] || [];
+    
+    let entry = entries.find(e => e.itemId === item.id);
+    if (!entry) {
+      if (!isAttempt) return;
+      entry = {
+        id: `h_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        itemId: item.id,
+        prompt: item.prompt,
+        options: { ...item.options },
+        attempts: 0,
+        queuedAt: item.createdAt,
+        completedAt: null
+      };
+      entries.unshift(entry);
+    }
+    
+    Object.assign(entry, patch, { updatedAt: Date.now() });
+    if (isAttempt) entry.attempts++;
+    
+    if (entries.length > CONFIG.HISTORY_MAX_ENTRIES) {
+      entries.length = CONFIG.HISTORY_MAX_ENTRIES;
+    }
+    
+    await chrome.storage.local.set({ [STORAGE_KEYS.HISTORY]: entries });
+  }).catch(err => {
+    debugLog('History write error:', err.message);
+  });
+}
+
+// ============================================================================
+// DOWNLOADS
+// ============================================================================
+
+/**
+ * Download the videos of items that finished while auto-download was on.
+ * A finished task takes a moment to show up in the drafts, so each item is
+ * looked up on every poll until DOWNLOAD_MAX_LOOKUPS.
+ */
+async function downloadFinishedVideos(tabId) {
+  const pending = engine.queue.filter(item => item.download?.status === 'pending');
+  if (pending.length === 0) return;
+  
+  for (const item of pending) {
+    // Every take that succeeded, for items with several
+    const taskIds = item.takes?.length > 0
+      ? item.takes.filter(take => take.status === 'succeeded' && take.taskId).map(take => take.taskId)
+      : [item.taskId];
+    const media = await executeGetTaskMedia(tabId, taskIds);
+    item.download.lookups++;
+    
+    if (media.success && media.found) {
+      await downloadItemVideos(item, media.urls);
+    } else if (media.error === 'UNEXPECTED_RESPONSE' || item.download.lookups >= CONFIG.DOWNLOAD_MAX_LOOKUPS) {
+      // An unexpected drafts format won't fix itself by asking again
+      failDownload(item, getMediaLookupError(media));
+    }
+  }
+  
+  await saveQueue();
+}
+
+/**
+ * Why a drafts lookup found no video to download
+ */
+function getMediaLookupError(media) {
+  if (!media.success) return media.message || media.error;
+  if (media.listedWithoutMedia) return 'Media not found: the draft has no video URL';
+  return 'Media not found in drafts';
+}
+
+/**
+ * Give up on an item's download and tell the user, in the queue list,
+ * History and a toast
+ */
+function failDownload(item, error) {
+  item.download.status = 'failed';
+  item.download.error = error;
+  debugLog(`Download of ${item.taskId} gave up:`, error);
+  updateHistory(item, { download: item.download });
+  notifyViews(`Download failed for "${truncatePrompt(item.prompt)}": ${error}`, 'warning');
+}
+
+/**
+ * Save each video under the configured name and a sidecar JSON next to the
+ * first one. Paths are recorded as requested and replaced by the absolute
+ * path once Chrome has picked it (see downloads.onChanged).
+ */
+async function downloadItemVideos(item, urls) {
+  const queue = engine.queues.find(q => q.id === item.queueId);
+  const files = [];
+  
+  try {
+    for (const [i, url] of urls.entries()) {
+      const filename = formatDownloadName(CONFIG.DOWNLOAD_TEMPLATE, {
+        date: item.completedAt || Date.now(),
+        queue: queue?.name || item.queueId,
+        index: i + 1,
+        prompt: item.prompt,
+        taskId: item.taskId
+      });
+      const downloadId = await chrome.downloads.download({ url, filename, conflictAction: 'uniquify' });
+      files.push({ downloadId, path: filename });
+    }
+    
+    const sidecar = {
+      prompt: item.prompt,
+      options: item.options,
+      queue: queue?.name || item.queueId,
+      taskId: item.taskId,
+      ...(item.takes?.length > 0 && { takes: item.takes }),
+      submittedAt: item.submittedAt,
+      completedAt: item.completedAt,
+      videos: files.map(f => f.path)
+    };
+    const sidecarName = files[0].path.replace(/(\.[^./]*)?$/, '.json');
+    const sidecarId = await chrome.downloads.download({
+      url: `data:application/json;charset=utf-8,${encodeURIComponent(JSON.stringify(sidecar, null, 2))}`,
+      filename: sidecarName,
+      conflictAction: 'uniquify'
+    });
+    files.push({ downloadId: sidecarId, path: sidecarName });
+    
+    item.download = { ...item.download, status: 'done', files, error: null };
+    debugLog(`Downloading ${urls.length} video(s) of ${item.taskId}`);
+  } catch (err) {
+    item.download = { ...item.download, status: 'failed', files, error: err.message };
+    debugLog('Download error:', err.message);
+  }
+  
+  updateHistory(item, { download: item.download });
+}
+
+// The absolute path is known once Chrome has resolved the file name. The
+// worker is often suspended while a video downloads, so the item is found
+// through the download IDs stored with it, and a finished download whose
+// file name change was missed is looked up by ID.
+chrome.downloads.onChanged.addListener(async (delta) => {
+  if (!delta.filename?.current && delta.state?.current !== 'complete') return;
+  await ensureLoaded();
+  
+  const item = engine.queue.find(i => i.download?.files?.some(f => f.downloadId === delta.id));
+  const file = item?.download.files.find(f => f.downloadId === delta.id);
+  if (!file) return;
+  
+  let path = delta.filename?.current;
+  if (!path) {
+    const [download] = await chrome.downloads.search({ id: delta.id });
+    path = download?.filename;
+  }
+  if (!path || path === file.path) return;
+  
+  file.path = path;
+  updateHistory(item, { download: item.download });
+  await saveQueue();
+});
+
+// ============================================================================
+// SEQUENCES
+// ============================================================================
+
+/**
+ * The stored shape of meta.sequence (already validated)
+ */
+function createSequenceInfo(sequence) {
+  return {
+    id: sequence.id,
+    name: typeof sequence.name === 'string' && sequence.name.trim() ? sequence.name.trim() : 'Sequence',
+    index: sequence.index,
+    total: Number.isInteger(sequence.total) && sequence.total > sequence.index ? sequence.total : sequence.index + 1,
+    waitForPrevious: !!sequence.waitForPrevious,
+    linkField: sequence.linkField || null,
+    linkedGenerationId: null
+  };
+}
+
+/**
+ * Fail the waiting shots whose predecessor failed: they would otherwise
+ * wait forever and keep the queue from draining. Retrying the failed shot
+ * and then these picks the sequence up again.
+ */
+function failStrandedShots() {
+  // In shot order, so a shot failed here strands the ones after it too
+  const waiting = engine.queue
+    .filter(item => item.status === 'queued' && item.sequence)
+    .sort((a, b) => a.sequence.index - b.sequence.index);
+  let changed = false;
+  
+  for (const item of waiting) {
+    if (getSequenceBlock(item, engine.queue) !== 'failed') continue;
+    item.status = 'error';
+    item.errorMessage = 'Previous shot failed';
+    item.updatedAt = Date.now();
+    debugLog(`Shot ${item.sequence.index + 1} of "${item.sequence.name}" stopped: previous shot failed`);
+    changed = true;
+  }
+  
+  return changed;
+}
+
+/**
+ * Put the previous shot's generation ID into the option of shots that
+ * reference it. Like downloads, a finished task takes a moment to show up
+ * in the drafts, so waiting shots are looked up again on every poll, up to
+ * CONFIRM_MAX_LOOKUPS; then the shot fails (and stops the ones after it).
+ */
+async function resolveSequenceLinks(tabId) {
+  const waiting = engine.queue.filter(item =>
+    item.status === 'queued' && getSequenceBlock(item, engine.queue) === 'link'
+  );
+  let changed = false;
+  let linked = false;
+  
+  for (const item of waiting) {
+    // The first take that succeeded, for shots with several
+    const previous = getPreviousShot(engine.queue, item);
+    const take = previous.takes?.find(t => t.status === 'succeeded' && t.taskId);
+    const taskId = take ? take.taskId : previous.taskId;
+    const media = taskId ? await executeGetTaskMedia(tabId, [taskId]) : null;
+    const generationId = media?.success ? media.generationIds[0] : null;
+    
+    if (!generationId) {
+      item.sequence.linkLookups = (item.sequence.linkLookups || 0) + 1;
+      // An unexpected drafts format or a missing task ID won't fix itself
+      if (!taskId || media.error === 'UNEXPECTED_RESPONSE' || item.sequence.linkLookups >= CONFIG.CONFIRM_MAX_LOOKUPS) {
+        const reason = !taskId ? 'it has no task ID'
+          : media.success ? 'its video is not in the drafts' : (media.message || media.error);
+        item.status = 'error';
+        item.errorMessage = `Could not link to shot ${item.sequence.index}: ${reason}`;
+        item.updatedAt = Date.now();
+        debugLog(`Shot ${item.sequence.index + 1} of "${item.sequence.name}" failed to link:`, reason);
+      }
+      changed = true;
+      continue;
+    }
+    
+    item.options = { ...item.options, [item.sequence.linkField]: generationId };
+    item.sequence.linkedGenerationId = generationId;
+    item.updatedAt = Date.now();
+    debugLog(`Shot ${item.sequence.index + 1} of "${item.sequence.name}" linked to ${generationId}`);
+    changed = true;
+    linked = true;
+  }
+  
+  if (changed) await saveQueue();
+  if (linked) kickEngine();
+}
+
+// ============================================================================
+// SCHEDULED SUBMISSIONS
+// ============================================================================
+
+/**
+ * (Re)arm the alarm that wakes the engine when the next waiting item or
+ * submission window opens. chrome.alarms survives service worker restarts,
+ * unlike the poll timer.
+ */
+async function updateScheduleAlarm() {
+  const now = Date.now();
+  let wakeAt = null;
+  for (const item of engine.queue) {
+    if (item.status !== 'queued') continue;
+    const eligibleAt = getItemEligibleAt(item, engine.schedule, now);
+    if (eligibleAt !== null && eligibleAt > now && (wakeAt === null || eligibleAt < wakeAt)) {
+      wakeAt = eligibleAt;
+    }
+  }
+  
+  if (wakeAt === engine.scheduledWakeAt) return;
+  engine.scheduledWakeAt = wakeAt;
+  
+  try {
+    if (!wakeAt) {
+      await chrome.alarms.clear(SCHEDULE_ALARM);
+      debugLog('Schedule alarm cleared');
+    } else {
+      // Never schedule in the past; fire immediately instead
+      const fireAt = Math.max(wakeAt, Date.now() + 1000);
+      await chrome.alarms.create(SCHEDULE_ALARM, { when: fireAt });
+      debugLog(`Schedule alarm set for ${new Date(fireAt).toISOString()}`);
+    }
+  } catch (err) {
+    debugLog('Schedule alarm error:', err.message);
+  }
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === SCHEDULE_ALARM) {
+    debugLog('Schedule alarm fired');
+    engine.scheduledWakeAt = null;
+    kickEngine();
+  } else if (alarm.name === ENGINE_ALARM) {
+    kickEngine();
+  }
+});
+
+// ============================================================================
+// DESKTOP NOTIFICATIONS
+// ============================================================================
+
+const NOTIFICATION_PREFIX = 'sqp';
+
+/**
+ * Raise a system notification for a milestone, if its setting is on. The
+ * engine tab is encoded in the ID so a click still finds it after the
+ * worker was suspended.
+ */
+async function showDesktopNotification(kind, title, message) {
+  if (!CONFIG.NOTIFY[kind]) return;
+  
+  const notificationId = `${NOTIFICATION_PREFIX}:${kind}:${engine.tabId ?? ''}:${Date.now()}_${Math.random().toString(36).substr(2, 5)}`;
+  try {
+    await chrome.notifications.create(notificationId, {
+      type: 'basic',
+      iconUrl: 'icons/icon128.png',
+      title: `Sora Queue: ${title}`,
+      message,
+      priority: kind === 'completed' ? 0 : 1
+    });
+  } catch (err) {
+    debugLog('Notification error:', err.message);
+  }
+}
+
+/**
+ * Notify once the engine has nothing left to send or watch. Called after
+ * the engine itself finished or failed an item, so clearing the queue by
+ * hand does not count.
+ */
+function notifyIfDrained() {
+  const unfinished = engine.queue.some(item =>
+    item.status === 'queued' || IN_FLIGHT_STATUSES.includes(item.status)
+  );
+  if (unfinished || engine.isPaused) return;
+  
+  const done = engine.queue.filter(item => item.status === 'succeeded').length;
+  const failed = engine.queue.filter(item =>
+    item.status === 'failed' || item.status === 'error' || item.status === 'rejected'
+  ).length;
+  const unknown = engine.queue.filter(item => item.status === 'unknown').length;
+  if (done + failed + unknown === 0) return;
+  
+  showDesktopNotification('queueDrained', 'Queue finished',
+    `${done} done, ${failed} failed${unknown ? `, ${unknown} unknown (check Sora)` : ''}.`);
+}
+
+/**
+ * Bring the Sora tab the notification came from to the front (any Sora tab
+ * if it was closed, a new one if there is none)
+ */
+async function focusSoraTab(tabId) {
+  let tab = null;
+  if (tabId) {
+    try {
+      tab = await chrome.tabs.get(tabId);
+    } catch {
+      // Tab was closed
+    }
+  }
+  if (!tab) {
+    const tabs = await chrome.tabs.query({ url: 'https://sora.chatgpt.com/*' });
+    tab = tabs[0] || null;
+  }
+  
+  if (!tab) {
+    await chrome.tabs.create({ url: 'https://sora.chatgpt.com/' });
+    return;
+  }
+  await chrome.tabs.update(tab.id, { active: true });
+  await chrome.windows.update(tab.windowId, { focused: true });
+}
+
+chrome.notifications.onClicked.addListener((notificationId) => {
+  const [prefix, , tabId] = notificationId.split(':');
+  if (prefix !== NOTIFICATION_PREFIX) return;
+  
+  chrome.notifications.clear(notificationId);
+  focusSoraTab(Number(tabId) || null).catch(err => debugLog('focusSoraTab error:', err.message));
+});
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
+
+/**
+ * Send a message to every Sora tab's panel and to the side panel
+ */
+async function notifyAllSoraTabs(message) {
+  // Extension pages (the side panel) receive runtime messages
+  chrome.runtime.sendMessage(message).catch(() => {
+    // No extension page is listening
+  });
+  
+  try {
+    const tabs = await chrome.tabs.query({ url: 'https://sora.chatgpt.com/*' });
+    for (const tab of tabs) {
+      try {
+        await chrome.tabs.sendMessage(tab.id, message);
+      } catch {
         // Tab might not have content script loaded
       }
     }
@@ -603,25 +3171,40 @@ async function notifyAllSoraTabs(message) {
   }
 }
 
+/**
+ * Show a toast in every open queue panel
+ */
+function notifyViews(message, level = 'info') {
+  notifyAllSoraTabs({ type: 'SHOW_NOTIFICATION', message, level });
+}
+
+function truncatePrompt(prompt) {
+  if (prompt.length <= CONFIG.PROMPT_PREVIEW_LENGTH) return prompt;
+  return prompt.substring(0, CONFIG.PROMPT_PREVIEW_LENGTH) + '...';
+}
+
+function formatDuration(ms) {
+  const hours = Math.floor(ms / 3600000);
+  const minutes = Math.floor((ms % 3600000) / 60000);
+  
+  if (hours > 0) {
+    return `${hours}h ${minutes}m`;
+  }
+  if (minutes === 0) {
+    return `${Math.ceil(ms / 1000)}s`;
+  }
+  return `${minutes}m`;
+}
+
 async function getDebugState() {
   const tokenStatus = await getTokenStatus();
-  
-  let controllerInfo = {};
-  try {
-    const result = await chrome.storage.local.get([
-      STORAGE_KEYS.CONTROLLER_TAB,
-      STORAGE_KEYS.CONTROLLER_HEARTBEAT
-    ]);
-    controllerInfo = {
-      controllerId: result[STORAGE_KEYS.CONTROLLER_TAB],
-      lastHeartbeat: result[STORAGE_KEYS.CONTROLLER_HEARTBEAT]
-    };
-  } catch {}
+  await ensureLoaded();
   
   return {
     success: true,
     tokenStatus,
-    controllerInfo,
+    engine: getEngineStatus(),
+    queueLength: engine.queue.length,
     timestamp: Date.now()
   };
 }
@@ -632,24 +3215,29 @@ async function getDebugState() {
 
 chrome.runtime.onInstalled.addListener(() => {
   debugLog('Extension installed/updated');
+  chrome.storage.local.remove(LEGACY_STORAGE_KEYS).catch(() => {});
 });
 
 chrome.runtime.onStartup.addListener(() => {
   debugLog('Browser started');
 });
 
-// Clean up controller on tab close
-chrome.tabs.onRemoved.addListener(async (tabId) => {
-  try {
-    const result = await chrome.storage.local.get([STORAGE_KEYS.CONTROLLER_TAB]);
-    if (result[STORAGE_KEYS.CONTROLLER_TAB] === tabId) {
-      await chrome.storage.local.remove([
-        STORAGE_KEYS.CONTROLLER_TAB,
-        STORAGE_KEYS.CONTROLLER_HEARTBEAT
-      ]);
-      debugLog(`Controller tab ${tabId} closed`);
-    }
-  } catch {}
+// A Sora tab finished loading: the engine may now have a tab to work through
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if (changeInfo.status === 'complete' && tab.url?.startsWith('https://sora.chatgpt.com/')) {
+    engine.accountCheckedAt = null; // Signed in or out since?
+    kickEngine();
+  }
 });
 
+chrome.tabs.onRemoved.addListener((tabId) => {
+  if (engine.tabId === tabId) {
+    engine.tabId = null;
+    debugLog(`Engine tab ${tabId} closed`);
+    kickEngine();
+  }
+});
+
+startEngine().catch(err => debugLog('Engine start error:', err.message));
+
 debugLog('Service worker initialized');
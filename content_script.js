@@ -2,13 +2,14 @@
  * Sora Prompt Queue - Content Script
  * 
  * This script runs in the content script context to:
- * 1. Manage the queue UI panel
- * 2. Handle queue state and persistence
- * 3. Control automation (polling + auto-submit)
- * 4. Communicate with background service worker via chrome.runtime.sendMessage
+ * 1. Render the queue UI panel
+ * 2. Mirror queue and engine state from chrome.storage.local
+ * 3. Send every queue change to the background service worker, which owns
+ *    the queue and runs the automation (polling + auto-submit)
  * 
- * NO MORE script injection - all API calls go through background worker
- * using chrome.scripting.executeScript with world: "MAIN"
+ * The panel is a view: closing or reloading the tab never stops the queue.
+ * sidepanel.html loads this same script to render the panel in Chrome's
+ * side panel instead of on the page.
  */
 
 (function() {
@@ -18,43 +19,160 @@
   // CONFIGURATION
   // ============================================================================
 
+  // PROMPT_PREVIEW_LENGTH, TOKEN_MAX_AGE_MS, SHOW_PAGE_PANEL and DEBUG follow
+  // the options page (applySettings)
   const CONFIG = {
-    POLL_INTERVAL_MS: 5000,           // Poll pending tasks every 5 seconds
-    POLL_INTERVAL_BACKOFF_MS: 15000,  // Backoff interval when at limit
-    POLL_JITTER_MS: 2000,             // Random jitter added to backoff
-    SUBMIT_COOLDOWN_MS: 2000,         // Minimum time between submissions
-    MAX_CONCURRENT_TASKS: 3,
-    BACKOFF_BASE_MS: 10000,           // Base backoff for retries
-    BACKOFF_JITTER_MS: 5000,          // Random jitter added to backoff
     PROMPT_PREVIEW_LENGTH: 80,        // Characters to show in queue preview
+    TOKEN_MAX_AGE_MS: 7200000,        // Token counts as stale after this; 0 = never
+    SHOW_PAGE_PANEL: true,            // Render the panel on Sora pages
     STORAGE_KEY: 'soraQueue',
-    HEARTBEAT_INTERVAL_MS: 5000,      // Controller heartbeat
+    ENGINE_STORAGE_KEY: 'soraEngine', // Runtime status published by the background engine
+    TEMPLATES_STORAGE_KEY: 'soraTemplates',
+    TEMPLATE_MAX_EXPANSIONS: 200,     // Cap on prompts generated from one template
+    SEQUENCE_MAX_SHOTS: 20,           // Cap on shots in one sequence
+    CLOCK_INTERVAL_MS: 30000,         // Re-render countdowns and "time ago" labels
+    REMIX_SCAN_DELAY_MS: 500,         // Batch page mutations before looking for new generations
     DEBUG: true                       // Debug logging
   };
 
+  // Running inside sidepanel.html (an extension page) rather than on Sora
+  const IS_SIDE_PANEL = location.protocol === 'chrome-extension:';
+
+  const {
+    OPTION_DEFAULTS,
+    OPTION_RULES,
+    SETTINGS_STORAGE_KEY,
+    EDITABLE_STATUSES,
+    PRIORITIES,
+    DEFAULT_PRIORITY,
+    MAX_VARIATIONS,
+    SEQUENCE_LINK_FIELDS,
+    DEFAULT_QUEUE_ID,
+    DEFAULT_CONCURRENCY_LIMIT,
+    DEFAULT_SCHEDULE,
+    FAILURE_CLASSES,
+    validateOptions,
+    resolveSettings,
+    validateSchedule,
+    resolveRetryPolicy,
+    validateRetryPolicy,
+    estimateQueueCost,
+    getVariationProgress,
+    getSequenceBlock,
+    countInFlight,
+    getNextWindowTime,
+    getItemEligibleAt,
+    buildBackup,
+    parseBackup
+  } = globalThis.SoraQueueShared;
+
+  // ============================================================================
+  // GENERATION OPTIONS
+  // ============================================================================
+
+  /**
+   * Render editor controls for every create-body field (minus `exclude`)
+   */
+  function renderOptionsFields(options = {}, exclude = []) {
+    return Object.entries(OPTION_RULES)
+      .filter(([key]) => !exclude.includes(key))
+      .map(([key, rule]) => {
+        const value = options[key];
+        const input = rule.input || rule.type;
+        const placeholder = OPTION_DEFAULTS[key] !== undefined ? `default: ${OPTION_DEFAULTS[key]}` : '';
+        let control;
+
+        if (input === 'enum') {
+          control = `
+            <select data-option="${key}">
+              <option value="">${placeholder ? `(${placeholder})` : '(none)'}</option>
+              ${rule.values.map(v => `<option value="${v}" ${v === value ? 'selected' : ''}>${v}</option>`).join('')}
+            </select>`;
+        } else if (input === 'integer') {
+          control = `<input type="number" data-option="${key}" min="${rule.min}" max="${rule.max}" step="1"
+            value="${value ?? ''}" placeholder="${placeholder}">`;
+        } else if (input === 'list') {
+          control = `<input type="text" data-option="${key}" value="${escapeHtml((value || []).join(', '))}">`;
+        } else if (input === 'json' || input === 'object') {
+          control = `<textarea data-option="${key}" rows="2" placeholder="${input === 'object' ? '{ }' : '[ ]'}">${value !== undefined && value !== null ? escapeHtml(JSON.stringify(value)) : ''}</textarea>`;
+        } else {
+          control = `<input type="text" data-option="${key}" value="${escapeHtml(value ?? '')}" placeholder="${placeholder}">`;
+        }
+
+        return `<label class="sqp-option-field"><span>${rule.label}</span>${control}</label>`;
+      })
+      .join('');
+  }
+
+  /**
+   * Read and validate the controls produced by renderOptionsFields
+   */
+  function readOptionsFields(container) {
+    const raw = {};
+    const errors = [];
+
+    container.querySelectorAll('[data-option]').forEach(el => {
+      const key = el.dataset.option;
+      const rule = OPTION_RULES[key];
+      const input = rule.input || rule.type;
+      const value = el.value.trim();
+      if (!value) return;
+
+      if (input === 'list') {
+        raw[key] = value.split(',').map(v => v.trim()).filter(Boolean);
+      } else if (input === 'json' || input === 'object') {
+        try {
+          raw[key] = JSON.parse(value);
+        } catch {
+          errors.push(`${rule.label}: invalid JSON`);
+        }
+      } else {
+        raw[key] = value;
+      }
+    });
+
+    const result = validateOptions(raw);
+    return { options: result.options, errors: [...errors, ...result.errors] };
+  }
+
   // ============================================================================
   // STATE
   // ============================================================================
 
+  // Mirrors of STORAGE_KEY and ENGINE_STORAGE_KEY, both written by the background
   const state = {
     queue: [],                        // Array of queued prompts
     isAutomationEnabled: true,        // Global automation toggle
     isPaused: false,                  // Paused due to error/limit
     pauseReason: null,                // Why automation is paused
     dailyLimitResetTime: null,        // When daily limit resets
+    schedule: null,                   // Global submission window (see SCHEDULE)
+    queues: [],                       // Named queue configs
+    schedulingMode: 'round_robin',    // How slots are shared between named queues
+    retryPolicy: null,                // Retry rules per failure class (null = defaults)
+    queueAccountId: null,             // Account the queue belongs to
+    queueAccountLabel: null,
+    engine: {                         // Runtime status of the background engine
+      tabId: null,                    // Sora tab running MAIN-world calls
+      activeTaskCount: 0,
+      maxConcurrentTasks: null,       // Detected (or configured) concurrency limit
+      concurrencySource: null,        // setting | 429 | pending | account | default
+      credits: null,                  // { remaining, resetAt, updatedAt, costs } (remaining null = unknown)
+      accountId: null,                // Signed-in account, as last checked
+      parkedAccounts: [],             // { accountId, label, waiting } of other accounts' queues
+      lastPollTime: null,
+      mainWorldReady: false,
+      scheduledWakeAt: null
+    },
+    tabId: null,                      // This tab's ID
     hasValidToken: false,             // Whether we have a captured token
     lastTokenCapture: null,           // Timestamp of last token capture
-    activeTaskCount: 0,               // Current active tasks from polling
-    lastPollTime: null,               // Last successful poll timestamp
-    lastSubmitTime: null,             // Last submission attempt timestamp
-    isSubmitting: false,              // Currently submitting a prompt
-    isController: false,              // Is this tab the controller?
-    mainWorldReady: false,            // MAIN world execution working
     extensionInvalidated: false,      // True if extension was reloaded
-    pollIntervalId: null,             // Interval ID for polling
-    heartbeatIntervalId: null,        // Interval ID for controller heartbeat
-    dailyLimitIntervalId: null,       // Interval ID for daily-limit reset checks
+    clockIntervalId: null,            // Interval ID for countdown re-renders
     debugEnabled: false,              // Debug panel enabled
+    selectedQueueId: DEFAULT_QUEUE_ID, // Named queue shown in the list and added to
+    groupBySource: false,             // Group queue list by source template or sequence
+    draggedItemId: null,              // Queue item being dragged for reordering
     uiElements: {}                    // Cached UI elements
   };
 
@@ -97,17 +215,9 @@
   }
 
   function stopAllTimers() {
-    if (state.pollIntervalId) {
-      clearInterval(state.pollIntervalId);
-      state.pollIntervalId = null;
-    }
-    if (state.heartbeatIntervalId) {
-      clearInterval(state.heartbeatIntervalId);
-      state.heartbeatIntervalId = null;
-    }
-    if (state.dailyLimitIntervalId) {
-      clearInterval(state.dailyLimitIntervalId);
-      state.dailyLimitIntervalId = null;
+    if (state.clockIntervalId) {
+      clearInterval(state.clockIntervalId);
+      state.clockIntervalId = null;
     }
   }
 
@@ -135,6 +245,24 @@
     }
   }
 
+  /**
+   * Send a queue operation to the background and surface its error, if any.
+   * The panel re-renders from the resulting storage change.
+   */
+  async function runQueueCommand(type, payload = {}) {
+    try {
+      const result = await sendToBackground(type, payload);
+      if (!result?.success) {
+        showNotification(result?.error || 'Queue update failed', 'error');
+      }
+      return result || { success: false };
+    } catch (err) {
+      debugLog(`${type} error:`, err.message);
+      showNotification(err.message, 'error');
+      return { success: false, error: err.message };
+    }
+  }
+
   /**
    * Listen for messages from background
    */
@@ -146,9 +274,11 @@
         state.hasValidToken = message.hasToken;
         state.lastTokenCapture = Date.now();
         updateUI();
-        showNotification('Token captured! Queue submissions enabled.', 'success');
-        // Try to submit if we have queued items
-        checkAndSubmit();
+        if (message.hasToken) {
+          showNotification('Token captured! Queue submissions enabled.', 'success');
+        } else {
+          showNotification('Captured a token that only works for another request. Generate once manually.', 'warning');
+        }
         break;
 
       case 'TOKEN_CLEARED':
@@ -156,6 +286,10 @@
         state.lastTokenCapture = null;
         updateUI();
         break;
+
+      case 'SHOW_NOTIFICATION':
+        showNotification(message.message, message.level);
+        break;
     }
   });
 
@@ -165,265 +299,585 @@
 
   chrome.storage.onChanged.addListener((changes, areaName) => {
     if (state.extensionInvalidated) return;
+
+    if (areaName === 'sync' && changes[SETTINGS_STORAGE_KEY]) {
+      applySettings(resolveSettings(changes[SETTINGS_STORAGE_KEY].newValue));
+      updateUI();
+    }
+
     if (areaName !== 'local') return;
 
     if (changes[CONFIG.STORAGE_KEY]) {
-      // Queue state changed (possibly from popup)
-      const newData = changes[CONFIG.STORAGE_KEY].newValue || {};
-      
-      // Update local state from storage
-      if (newData.isAutomationEnabled !== undefined && 
-          newData.isAutomationEnabled !== state.isAutomationEnabled) {
-        state.isAutomationEnabled = newData.isAutomationEnabled;
-        debugLog('Automation toggled via storage:', state.isAutomationEnabled);
-        
-        if (state.isAutomationEnabled) {
-          checkAndSubmit();
-        }
-      }
-      
-      if (newData.isPaused !== undefined) {
-        state.isPaused = newData.isPaused;
-        state.pauseReason = newData.pauseReason;
-      }
-      
-      if (newData.queue !== undefined) {
-        state.queue = newData.queue;
-      }
-      
+      applyQueueState(changes[CONFIG.STORAGE_KEY].newValue || {});
+      updateUI();
+    }
+
+    if (changes[CONFIG.ENGINE_STORAGE_KEY]) {
+      applyEngineStatus(changes[CONFIG.ENGINE_STORAGE_KEY].newValue || {});
       updateUI();
     }
   });
 
+  // ============================================================================
+  // SETTINGS
+  // ============================================================================
+
+  async function loadSettings() {
+    try {
+      const result = await chrome.storage.sync.get([SETTINGS_STORAGE_KEY]);
+      applySettings(resolveSettings(result[SETTINGS_STORAGE_KEY]));
+    } catch (err) {
+      debugLog('Load settings error:', err.message);
+    }
+  }
+
+  function applySettings(settings) {
+    CONFIG.PROMPT_PREVIEW_LENGTH = settings.promptPreviewLength;
+    CONFIG.TOKEN_MAX_AGE_MS = settings.tokenMaxAgeMin * 60000;
+    CONFIG.SHOW_PAGE_PANEL = settings.showPagePanel;
+    CONFIG.DEBUG = settings.debug;
+  }
+
   // ============================================================================
   // QUEUE MANAGEMENT
   // ============================================================================
 
   /**
-   * Add a prompt to the queue
+   * Add prompts to the queue. Each entry is { prompt, options, meta }.
    */
-  function addToQueue(prompt, options = {}) {
-    const item = {
-      id: `q_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-      prompt: prompt.trim(),
-      options: {
-        orientation: options.orientation || 'portrait',
-        size: options.size || 'small',
-        n_frames: options.n_frames || 300,
-        model: options.model || 'sy_8',
-        ...options
-      },
-      status: 'queued',           // queued | sending | error | submitted
-      errorMessage: null,
-      retryCount: 0,
-      createdAt: Date.now(),
-      updatedAt: Date.now()
-    };
-
-    state.queue.push(item);
-    saveQueue();
-    updateUI();
-    
-    debugLog('Added to queue:', item.id, `"${truncatePrompt(item.prompt)}"`);
-    
-    // Trigger submission check
-    checkAndSubmit();
-    
-    return item;
+  function addToQueue(entries) {
+    debugLog(`Adding ${entries.length} item(s) to queue ${state.selectedQueueId}`);
+    return runQueueCommand('QUEUE_ADD', { items: entries, queueId: state.selectedQueueId });
   }
 
   /**
    * Remove an item from the queue
    */
   function removeFromQueue(itemId) {
-    const index = state.queue.findIndex(item => item.id === itemId);
-    if (index !== -1) {
-      state.queue.splice(index, 1);
-      saveQueue();
-      updateUI();
-    }
+    return runQueueCommand('QUEUE_REMOVE', { itemId });
   }
 
   /**
    * Move item up in queue
    */
   function moveUp(itemId) {
-    const index = state.queue.findIndex(item => item.id === itemId);
-    if (index > 0) {
-      [state.queue[index - 1], state.queue[index]] = [state.queue[index], state.queue[index - 1]];
-      saveQueue();
-      updateUI();
-    }
+    return runQueueCommand('QUEUE_MOVE', { itemId, direction: 'up' });
   }
 
   /**
    * Move item down in queue
    */
   function moveDown(itemId) {
-    const index = state.queue.findIndex(item => item.id === itemId);
-    if (index !== -1 && index < state.queue.length - 1) {
-      [state.queue[index], state.queue[index + 1]] = [state.queue[index + 1], state.queue[index]];
-      saveQueue();
-      updateUI();
+    return runQueueCommand('QUEUE_MOVE', { itemId, direction: 'down' });
+  }
+
+  /**
+   * Drop an item before another in its priority band (or at the band's end)
+   */
+  function reorderItem(itemId, beforeId) {
+    return runQueueCommand('QUEUE_REORDER', { itemId, beforeId });
+  }
+
+  /**
+   * Jump an item to the front of the queue
+   */
+  function submitNext(itemId) {
+    return runQueueCommand('QUEUE_SUBMIT_NEXT', { itemId });
+  }
+
+  /**
+   * Replace an item's prompt and options; failed items go back in the queue
+   */
+  function updateQueueItem(itemId, prompt, options, notBefore = null, priority = DEFAULT_PRIORITY, variations) {
+    return runQueueCommand('QUEUE_UPDATE_ITEM', { itemId, prompt, options, notBefore, priority, variations });
+  }
+
+  /**
+   * Re-queue a failed item, or cut a retry backoff short
+   */
+  function retryItem(itemId) {
+    return runQueueCommand('QUEUE_RETRY', { itemId });
+  }
+
+  /**
+   * Re-queue every failed item of the selected queue
+   */
+  async function retryFailedItems() {
+    const result = await runQueueCommand('QUEUE_RETRY_FAILED', { queueId: state.selectedQueueId });
+    if (result.success) {
+      showNotification(result.retried ? `Retrying ${result.retried} item(s)` : 'No failed items', 'info');
     }
   }
 
   /**
-   * Update item status
+   * Remove every item of the selected queue in one of the given statuses
    */
-  function updateItemStatus(itemId, status, errorMessage = null) {
-    const item = state.queue.find(i => i.id === itemId);
-    if (item) {
-      item.status = status;
-      item.errorMessage = errorMessage;
-      item.updatedAt = Date.now();
-      if (status === 'error') {
-        item.retryCount++;
-      }
-      saveQueue();
-      updateUI();
+  function clearItems(statuses) {
+    return runQueueCommand('QUEUE_CLEAR', { statuses, queueId: state.selectedQueueId });
+  }
+
+  function getSelectedQueue() {
+    return state.queues.find(q => q.id === state.selectedQueueId) || null;
+  }
+
+  /**
+   * Switch the list and add form to another named queue
+   */
+  function selectQueue(queueId) {
+    state.selectedQueueId = queueId;
+    const config = getSelectedQueue();
+    if (state.uiElements.orientationSelect) {
+      state.uiElements.orientationSelect.value =
+        config?.defaultOptions?.orientation || OPTION_DEFAULTS.orientation;
+    }
+    updateUI();
+  }
+
+  async function createQueue() {
+    const name = prompt('Name for the new queue:');
+    if (!name || !name.trim()) return;
+
+    const result = await runQueueCommand('QUEUE_CREATE', { name: name.trim() });
+    if (result.success) {
+      selectQueue(result.queueId);
+    }
+  }
+
+  function applyQueueState(data) {
+    state.queue = data.queue || [];
+    state.dailyLimitResetTime = data.dailyLimitResetTime || null;
+    state.isPaused = data.isPaused || false;
+    state.pauseReason = data.pauseReason || null;
+    state.isAutomationEnabled = data.isAutomationEnabled !== false;
+    state.schedule = data.schedule || null;
+    state.queues = data.queues || [];
+    state.schedulingMode = data.schedulingMode || 'round_robin';
+    state.retryPolicy = data.retryPolicy || null;
+    state.queueAccountId = data.accountId || null;
+    state.queueAccountLabel = data.accountLabel || null;
+
+    // The selected queue may have been deleted elsewhere
+    if (state.queues.length > 0 && !getSelectedQueue()) {
+      state.selectedQueueId = DEFAULT_QUEUE_ID;
+    }
+  }
+
+  function applyEngineStatus(data) {
+    state.engine = { ...state.engine, ...data };
+    if (typeof data.hasValidToken === 'boolean') {
+      state.hasValidToken = data.hasValidToken;
+    }
+    if (data.tokenCapturedAt !== undefined) {
+      state.lastTokenCapture = data.tokenCapturedAt;
     }
   }
 
   /**
-   * Persist queue to storage
+   * Load queue and engine status from the background (which also tells us
+   * our own tab ID); later changes arrive through storage events
    */
-  function saveQueue() {
+  async function loadQueue() {
     if (state.extensionInvalidated) return;
 
-    const data = {
-      queue: state.queue,
-      dailyLimitResetTime: state.dailyLimitResetTime,
-      isPaused: state.isPaused,
-      pauseReason: state.pauseReason,
-      isAutomationEnabled: state.isAutomationEnabled
-    };
-
     try {
-      chrome.storage.local.set({ [CONFIG.STORAGE_KEY]: data }, () => {
-        if (chrome.runtime.lastError) {
-          debugLog('storage.set warning:', chrome.runtime.lastError.message);
-        }
-      });
+      const result = await sendToBackground('GET_QUEUE_STATE');
+      if (!result?.success) return;
+      applyQueueState(result);
+      applyEngineStatus(result.engine || {});
+      state.tabId = result.tabId ?? null;
     } catch (err) {
-      if (isExtensionContextInvalidated()) {
-        handleExtensionInvalidated();
-      }
+      debugLog('Load queue error:', err.message);
     }
   }
 
+  // ============================================================================
+  // BULK IMPORT
+  // ============================================================================
+
+  const CSV_COLUMNS = ['prompt', 'orientation', 'size', 'n_frames', 'model', 'style_id', 'title'];
+
   /**
-   * Load queue from storage
+   * Guess the import format from a file name and/or its contents
    */
-  async function loadQueue() {
-    return new Promise((resolve) => {
-      if (state.extensionInvalidated) return resolve();
+  function detectImportFormat(text, fileName = '') {
+    const ext = fileName.toLowerCase().split('.').pop();
+    if (ext === 'csv') return 'csv';
+    if (ext === 'jsonl' || ext === 'ndjson') return 'jsonl';
+    if (ext === 'txt') return 'text';
+
+    const lines = text.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+    if (lines.length > 0 && lines.every(l => l.startsWith('{'))) return 'jsonl';
+    if (lines.length > 0 && /^"?prompt"?\s*,/i.test(lines[0])) return 'csv';
+    return 'text';
+  }
 
-      try {
-        chrome.storage.local.get([CONFIG.STORAGE_KEY], (result) => {
-          if (chrome.runtime.lastError) {
-            debugLog('storage.get warning:', chrome.runtime.lastError.message);
-          }
-          
-          const data = result?.[CONFIG.STORAGE_KEY] || {};
-          
-          state.queue = data.queue || [];
-          state.dailyLimitResetTime = data.dailyLimitResetTime || null;
-          state.isPaused = data.isPaused || false;
-          state.pauseReason = data.pauseReason || null;
-          state.isAutomationEnabled = data.isAutomationEnabled !== false;
-
-          // Reset any items stuck in 'sending' status
-          state.queue.forEach(item => {
-            if (item.status === 'sending') {
-              item.status = 'queued';
-            }
-          });
-
-          // Check if daily limit has reset
-          if (state.dailyLimitResetTime && Date.now() >= state.dailyLimitResetTime) {
-            state.dailyLimitResetTime = null;
-            if (state.pauseReason === 'daily_limit') {
-              state.isPaused = false;
-              state.pauseReason = null;
-            }
-          }
+  /**
+   * Parse import text into rows of { line, prompt, options, errors }
+   */
+  function parseImport(text, format) {
+    switch (format) {
+      case 'csv':
+        return parseCsvImport(text);
+      case 'jsonl':
+        return parseJsonlImport(text);
+      default:
+        return text.split(/\r?\n/)
+          .map((line, i) => ({ line: i + 1, prompt: line.trim(), options: {}, errors: [] }))
+          .filter(row => row.prompt);
+    }
+  }
 
-          saveQueue();
-          resolve();
-        });
-      } catch (err) {
-        if (isExtensionContextInvalidated()) {
-          handleExtensionInvalidated();
+  function parseCsvImport(text) {
+    const records = parseCsv(text);
+    if (records.length === 0) return [];
+
+    // Use the header row when present, otherwise assume the documented column order
+    const first = records[0].values.map(v => v.trim().toLowerCase());
+    const hasHeader = first.includes('prompt');
+    const columns = hasHeader ? first : CSV_COLUMNS;
+    const rows = [];
+
+    for (const record of records.slice(hasHeader ? 1 : 0)) {
+      if (record.values.every(v => !v.trim())) continue;
+
+      const errors = [];
+      const rawOptions = {};
+      let prompt = '';
+
+      record.values.forEach((value, i) => {
+        const column = columns[i];
+        if (!column) {
+          if (value.trim()) errors.push(`Unexpected extra column ${i + 1}`);
+          return;
+        }
+        if (column === 'prompt') {
+          prompt = value.trim();
+        } else if (!CSV_COLUMNS.includes(column)) {
+          errors.push(`Unknown column "${column}"`);
+        } else {
+          rawOptions[column] = value;
         }
-        resolve();
+      });
+
+      const { options, errors: optionErrors } = validateOptions(rawOptions);
+      rows.push({ line: record.line, prompt, options, errors: [...errors, ...optionErrors] });
+    }
+
+    return rows;
+  }
+
+  function parseJsonlImport(text) {
+    const rows = [];
+
+    text.split(/\r?\n/).forEach((line, i) => {
+      if (!line.trim()) return;
+
+      let data;
+      try {
+        data = JSON.parse(line);
+      } catch (err) {
+        rows.push({ line: i + 1, prompt: '', options: {}, errors: [`Invalid JSON: ${err.message}`] });
+        return;
+      }
+
+      if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        rows.push({ line: i + 1, prompt: '', options: {}, errors: ['Line must be a JSON object'] });
+        return;
+      }
+
+      // Accept either { prompt, options: {...} } or a flat { prompt, ...options }
+      const { prompt, options: nested, ...flat } = data;
+      const { options, errors } = validateOptions(nested !== undefined ? nested : flat);
+      if (nested !== undefined && Object.keys(flat).length > 0) {
+        errors.push('Use either a nested "options" object or flat fields, not both');
       }
+      rows.push({ line: i + 1, prompt: typeof prompt === 'string' ? prompt.trim() : '', options, errors });
     });
+
+    return rows;
+  }
+
+  /**
+   * Minimal RFC 4180 CSV parser (quoted fields, escaped quotes, embedded newlines)
+   */
+  function parseCsv(text) {
+    const records = [];
+    let values = [];
+    let field = '';
+    let inQuotes = false;
+    let line = 1;
+    let recordLine = 1;
+
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+
+      if (inQuotes) {
+        if (ch === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (ch === '"') {
+          inQuotes = false;
+        } else {
+          if (ch === '\n') line++;
+          field += ch;
+        }
+      } else if (ch === '"') {
+        inQuotes = true;
+      } else if (ch === ',') {
+        values.push(field);
+        field = '';
+      } else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && text[i + 1] === '\n') i++;
+        values.push(field);
+        records.push({ line: recordLine, values });
+        values = [];
+        field = '';
+        line++;
+        recordLine = line;
+      } else {
+        field += ch;
+      }
+    }
+
+    if (field || values.length > 0) {
+      values.push(field);
+      records.push({ line: recordLine, values });
+    }
+
+    return records;
+  }
+
+  /**
+   * Key used to detect duplicate prompts (same text and same effective options)
+   */
+  function getDedupeKey(prompt, options) {
+    const effective = { ...OPTION_DEFAULTS, ...options };
+    const sorted = Object.keys(effective).sort().map(k => [k, effective[k]]);
+    return `${prompt.replace(/\s+/g, ' ').trim().toLowerCase()}|${JSON.stringify(sorted)}`;
+  }
+
+  /**
+   * Mark rows that are missing a prompt or duplicate the queue / earlier rows
+   */
+  function annotateImportRows(rows) {
+    const seen = new Set(state.queue.map(item => getDedupeKey(item.prompt, item.options)));
+
+    for (const row of rows) {
+      row.duplicate = false;
+      if (!row.prompt && row.errors.length === 0) {
+        row.errors.push('Missing prompt');
+      }
+      if (row.errors.length > 0) continue;
+
+      const key = getDedupeKey(row.prompt, row.options);
+      if (seen.has(key)) {
+        row.duplicate = true;
+      } else {
+        seen.add(key);
+      }
+    }
+
+    return rows;
   }
 
   // ============================================================================
-  // POLLING & AUTOMATION
+  // PROMPT TEMPLATES
   // ============================================================================
 
+  // {{name}} references a named variable; {a|b|c} is an inline alternative
+  const TEMPLATE_TOKEN_RE = /\{\{\s*([\w-]+)\s*\}\}|\{([^{}]*\|[^{}]*)\}/g;
+
   /**
-   * Start polling for active tasks
+   * Parse "name: value1 | value2" lines into { name: [values] }
    */
-  function startPolling() {
-    if (state.pollIntervalId) return;
-    
-    // Initial poll
-    pollPendingTasks();
-    
-    // Set up interval
-    state.pollIntervalId = setInterval(() => {
-      pollPendingTasks();
-    }, CONFIG.POLL_INTERVAL_MS);
+  function parseTemplateVariables(text) {
+    const variables = {};
+    const errors = [];
+
+    text.split(/\r?\n/).forEach((line, i) => {
+      if (!line.trim()) return;
+      const match = line.match(/^\s*([\w-]+)\s*[:=]\s*(.*)$/);
+      if (!match) {
+        errors.push(`Variables line ${i + 1}: expected "name: value | value"`);
+        return;
+      }
+      const values = match[2].split('|').map(v => v.trim()).filter(Boolean);
+      if (values.length === 0) {
+        errors.push(`Variable "${match[1]}" has no values`);
+        return;
+      }
+      variables[match[1]] = values;
+    });
+
+    return { variables, errors };
+  }
+
+  function formatTemplateVariables(variables) {
+    return Object.entries(variables || {})
+      .map(([name, values]) => `${name}: ${values.join(' | ')}`)
+      .join('\n');
   }
 
   /**
-   * Stop polling
+   * Split a template into literal text and substitution slots. Each inline
+   * group is its own dimension; every use of a named variable shares one.
    */
-  function stopPolling() {
-    if (state.pollIntervalId) {
-      clearInterval(state.pollIntervalId);
-      state.pollIntervalId = null;
+  function parseTemplate(text, variables) {
+    const parts = [];
+    const dimensions = [];
+    const varDimension = {};
+    const errors = [];
+    let lastIndex = 0;
+
+    for (const match of text.matchAll(TEMPLATE_TOKEN_RE)) {
+      parts.push(text.slice(lastIndex, match.index));
+      lastIndex = match.index + match[0].length;
+
+      if (match[1]) {
+        const name = match[1];
+        if (!variables[name]) {
+          errors.push(`Variable "{{${name}}}" has no values`);
+          parts.push('');
+          continue;
+        }
+        if (varDimension[name] === undefined) {
+          varDimension[name] = dimensions.length;
+          dimensions.push(variables[name]);
+        }
+        parts.push({ dimension: varDimension[name] });
+      } else {
+        parts.push({ dimension: dimensions.length });
+        dimensions.push(match[2].split('|').map(v => v.trim()));
+      }
     }
+    parts.push(text.slice(lastIndex));
+
+    return { parts, dimensions, errors };
   }
 
   /**
-   * Poll pending tasks endpoint via background worker
+   * Expand a template into the cartesian product of its slots, up to `limit`
+   * prompts. Returns { prompts, total, errors }.
    */
-  async function pollPendingTasks() {
-    if (state.extensionInvalidated) return;
-    if (!state.isController) return; // Only controller polls
+  function expandTemplate(text, variables, limit = CONFIG.TEMPLATE_MAX_EXPANSIONS) {
+    const { parts, dimensions, errors } = parseTemplate(text, variables);
+    const total = dimensions.reduce((count, values) => count * values.length, 1);
+    const prompts = [];
 
-    try {
-      const result = await sendToBackground('EXECUTE_POLL_PENDING');
-      
-      if (result.success) {
-        state.activeTaskCount = result.activeCount;
-        state.lastPollTime = Date.now();
-        state.mainWorldReady = true;
-        
-        debugLog(`Poll: ${result.activeCount}/${CONFIG.MAX_CONCURRENT_TASKS} active`);
-        
-        updateUI();
-        checkAndSubmit();
-      } else {
-        debugLog('Poll failed:', result.error);
-        
-        // Check if it's a MAIN world execution issue
-        if (result.error?.includes('executeScript') || 
-            result.error?.includes('Cannot access')) {
-          state.mainWorldReady = false;
-          updateUI();
-        }
+    if (errors.length > 0 || !text.trim()) {
+      return { prompts, total: errors.length > 0 ? 0 : total, errors };
+    }
+
+    const indices = dimensions.map(() => 0);
+    const count = Math.min(total, limit);
+
+    for (let n = 0; n < count; n++) {
+      const prompt = parts
+        .map(part => typeof part === 'string' ? part : dimensions[part.dimension][indices[part.dimension]])
+        .join('')
+        .replace(/\s+/g, ' ')
+        .trim();
+      prompts.push(prompt);
+
+      // Advance the odometer, rightmost slot fastest
+      for (let d = indices.length - 1; d >= 0; d--) {
+        indices[d]++;
+        if (indices[d] < dimensions[d].length) break;
+        indices[d] = 0;
       }
-    } catch (error) {
-      debugLog('Poll error:', error.message);
     }
+
+    return { prompts, total, errors };
+  }
+
+  async function loadTemplates() {
+    const result = await chrome.storage.local.get([CONFIG.TEMPLATES_STORAGE_KEY]);
+    return result[CONFIG.TEMPLATES_STORAGE_KEY] || [];
+  }
+
+  async function saveTemplates(templates) {
+    await chrome.storage.local.set({ [CONFIG.TEMPLATES_STORAGE_KEY]: templates });
+  }
+
+  /**
+   * Enqueue every expansion of a template, tagged with the template ID
+   */
+  async function enqueueTemplate(template) {
+    const { prompts, total, errors } = expandTemplate(template.text, template.variables);
+    if (errors.length > 0 || total > CONFIG.TEMPLATE_MAX_EXPANSIONS) return 0;
+
+    const result = await addToQueue(prompts.map(prompt => ({
+      prompt,
+      options: template.options || {},
+      meta: { templateId: template.id, templateName: template.name }
+    })));
+    debugLog(`Template ${template.id} expanded into ${prompts.length} prompts`);
+    return result.success ? result.added : 0;
+  }
+
+  // ============================================================================
+  // SEQUENCES
+  // ============================================================================
+
+  /**
+   * Enqueue the shots of a sequence as one unit. Each shot is { prompt,
+   * waitForPrevious, linkField }; the first shot has nothing to wait for.
+   */
+  async function enqueueSequence(name, shots, options) {
+    const id = `seq_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    const result = await addToQueue(shots.map((shot, index) => ({
+      prompt: shot.prompt,
+      options,
+      meta: {
+        sequence: {
+          id,
+          name,
+          index,
+          total: shots.length,
+          waitForPrevious: index > 0 && (shot.waitForPrevious || !!shot.linkField),
+          linkField: index > 0 ? shot.linkField || null : null
+        }
+      }
+    })));
+    debugLog(`Sequence ${id} queued with ${shots.length} shots`);
+    return result.success ? result.added : 0;
+  }
+
+  // ============================================================================
+  // BACKUP & RESTORE
+  // ============================================================================
+
+  /**
+   * Download the queue backup as a JSON file
+   */
+  function exportBackup() {
+    const queueState = {
+      queue: state.queue,
+      dailyLimitResetTime: state.dailyLimitResetTime,
+      isPaused: state.isPaused,
+      pauseReason: state.pauseReason,
+      isAutomationEnabled: state.isAutomationEnabled,
+      schedule: state.schedule,
+      queues: state.queues,
+      schedulingMode: state.schedulingMode,
+      retryPolicy: state.retryPolicy
+    };
+    const json = JSON.stringify(buildBackup(queueState), null, 2);
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `sora-queue-backup-${new Date().toISOString().slice(0, 10)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
   }
 
+  // ============================================================================
+  // TOKEN
+  // ============================================================================
+
   /**
    * Check token status
    */
@@ -453,7 +907,6 @@
         state.lastTokenCapture = Date.now();
         showNotification('Manual token set. Queue submissions enabled.', 'success');
         updateUI();
-        checkAndSubmit();
       } else {
         showNotification('Failed to set token: ' + (result.error || 'Unknown error'), 'error');
       }
@@ -477,194 +930,12 @@
     }
   }
 
-  /**
-   * Register as controller tab
-   */
-  async function registerAsController() {
-    try {
-      const result = await sendToBackground('REGISTER_CONTROLLER');
-      state.isController = result.isController;
-      debugLog('Controller status:', state.isController);
-      return result.isController;
-    } catch (error) {
-      debugLog('Controller registration error:', error.message);
-      // Assume controller if can't communicate
-      state.isController = true;
-      return true;
-    }
-  }
+  // ============================================================================
+  // UI CREATION & MANAGEMENT
+  // ============================================================================
 
   /**
-   * Send heartbeat
-   */
-  async function sendHeartbeat() {
-    if (state.extensionInvalidated) return;
-
-    try {
-      const result = await sendToBackground('HEARTBEAT');
-      if (!result.isController && state.isController) {
-        // Lost controller status
-        state.isController = false;
-        stopPolling();
-        debugLog('Lost controller status');
-      } else if (result.isController && !state.isController) {
-        // Gained controller status
-        state.isController = true;
-        startPolling();
-        debugLog('Gained controller status');
-      }
-    } catch (error) {
-      // Ignore heartbeat errors
-    }
-  }
-
-  /**
-   * Check conditions and submit next queued item if possible
-   */
-  async function checkAndSubmit() {
-    // Guard conditions
-    if (!state.isAutomationEnabled) return;
-    if (state.isPaused) return;
-    if (state.isSubmitting) return;
-    if (!state.hasValidToken) return;
-    if (!state.isController) return;
-    if (state.activeTaskCount >= CONFIG.MAX_CONCURRENT_TASKS) return;
-    
-    // Check daily limit
-    if (state.dailyLimitResetTime && Date.now() < state.dailyLimitResetTime) return;
-
-    // Check cooldown
-    if (state.lastSubmitTime && (Date.now() - state.lastSubmitTime) < CONFIG.SUBMIT_COOLDOWN_MS) {
-      return;
-    }
-
-    // Get next queued item
-    const nextItem = state.queue.find(item => item.status === 'queued');
-    if (!nextItem) return;
-
-    // Submit
-    await submitQueueItem(nextItem);
-  }
-
-  /**
-   * Submit a single queue item
-   */
-  async function submitQueueItem(item) {
-    state.isSubmitting = true;
-    state.lastSubmitTime = Date.now();
-    updateItemStatus(item.id, 'sending');
-
-    debugLog('Submitting:', item.id);
-
-    try {
-      const result = await sendToBackground('EXECUTE_SUBMIT_PROMPT', {
-        prompt: item.prompt,
-        options: item.options
-      });
-
-      if (result.success) {
-        // Success - remove from queue
-        removeFromQueue(item.id);
-        showNotification(`Submitted: "${truncatePrompt(item.prompt)}"`, 'success');
-        
-        // Increment active count optimistically
-        state.activeTaskCount++;
-        updateUI();
-
-        debugLog('Submission successful');
-
-      } else {
-        // Handle different error types
-        handleSubmitError(item, result);
-      }
-
-    } catch (error) {
-      debugLog('Submit error:', error.message);
-      updateItemStatus(item.id, 'error', error.message);
-      
-    } finally {
-      state.isSubmitting = false;
-    }
-  }
-
-  /**
-   * Handle submission errors
-   */
-  function handleSubmitError(item, result) {
-    debugLog('Submit error:', result.error, result.message);
-
-    switch (result.error) {
-      case 'CONCURRENT_LIMIT':
-        // Requeue and wait for next poll
-        updateItemStatus(item.id, 'queued');
-        state.activeTaskCount = CONFIG.MAX_CONCURRENT_TASKS;
-        showNotification('At concurrent limit (3). Waiting...', 'warning');
-        scheduleBackoffRetry();
-        break;
-
-      case 'DAILY_LIMIT':
-        // Pause automation - DO NOT retry in a loop
-        state.isPaused = true;
-        state.pauseReason = 'daily_limit';
-        state.dailyLimitResetTime = result.resetTime;
-        updateItemStatus(item.id, 'queued'); // Keep in queue for later
-        saveQueue();
-        
-        const resetDuration = result.resetSeconds 
-          ? formatDuration(result.resetSeconds * 1000) 
-          : 'unknown time';
-        showNotification(`Daily limit reached. Resets in ${resetDuration}`, 'error');
-        debugLog(`Daily limit - resets in ${result.resetSeconds}s`);
-        break;
-
-      case 'NO_TOKEN':
-      case 'TOKEN_STALE':
-      case 'AUTH_ERROR':
-        // Need manual generation to capture token
-        state.hasValidToken = false;
-        updateItemStatus(item.id, 'error', 'Token needed');
-        showNotification('Please generate once manually to capture token.', 'warning');
-        break;
-
-      case 'RATE_LIMIT_UNKNOWN':
-        // Unknown rate limit - backoff and retry (but not infinitely)
-        if (item.retryCount < 3) {
-          updateItemStatus(item.id, 'queued');
-          scheduleBackoffRetry();
-        } else {
-          updateItemStatus(item.id, 'error', 'Rate limit (max retries)');
-        }
-        break;
-
-      default:
-        // Other error
-        updateItemStatus(item.id, 'error', result.message || 'Unknown error');
-        showNotification(`Error: ${result.message || 'Unknown error'}`, 'error');
-    }
-
-    updateUI();
-  }
-
-  /**
-   * Schedule a retry after backoff period
-   */
-  function scheduleBackoffRetry() {
-    const backoff = CONFIG.BACKOFF_BASE_MS + Math.random() * CONFIG.BACKOFF_JITTER_MS;
-    debugLog(`Backing off for ${Math.round(backoff / 1000)}s`);
-    
-    setTimeout(() => {
-      if (!state.extensionInvalidated) {
-        checkAndSubmit();
-      }
-    }, backoff);
-  }
-
-  // ============================================================================
-  // UI CREATION & MANAGEMENT
-  // ============================================================================
-
-  /**
-   * Create and inject the queue panel UI
+   * Create and inject the queue panel UI
    */
   function createUI() {
     // Main container
@@ -691,12 +962,18 @@
       
       <div class="sqp-status" id="sqp-status">
         <div class="sqp-status-row">
-          <span>Active: <strong id="sqp-active-count">?</strong>/3</span>
+          <span>Active: <strong id="sqp-active-count">?</strong>/<strong id="sqp-max-count">?</strong></span>
           <span>Token: <strong id="sqp-token-status">❌</strong></span>
         </div>
         <div class="sqp-status-row">
           <span>MAIN: <strong id="sqp-main-status">?</strong></span>
-          <span>Ctrl: <strong id="sqp-controller-status">?</strong></span>
+          <span>Engine: <strong id="sqp-engine-status">?</strong></span>
+        </div>
+        <div class="sqp-status-row">
+          <span>Credits: <strong id="sqp-credits-left">?</strong> left / <strong id="sqp-credits-needed">0</strong> needed</span>
+        </div>
+        <div class="sqp-status-row">
+          <span>Account: <strong id="sqp-account-status">?</strong></span>
         </div>
       </div>
 
@@ -706,6 +983,8 @@
 
       <div class="sqp-alert" id="sqp-alert" style="display: none;"></div>
 
+      <div class="sqp-queue-tabs" id="sqp-queue-tabs"></div>
+
       <div class="sqp-body" id="sqp-body">
         <div class="sqp-queue-list" id="sqp-queue-list">
           <div class="sqp-empty">Queue is empty</div>
@@ -720,13 +999,30 @@
             <option value="landscape">Landscape</option>
             <option value="square">Square</option>
           </select>
+          <select id="sqp-priority" title="Priority">${renderPriorityOptions(DEFAULT_PRIORITY)}</select>
           <button class="sqp-btn sqp-btn-primary" id="sqp-add-btn">Add to Queue</button>
         </div>
+        <details class="sqp-advanced" id="sqp-advanced">
+          <summary>Advanced options</summary>
+          <div class="sqp-options-fields">
+            <label class="sqp-option-field"><span>Not before</span><input type="datetime-local" id="sqp-not-before"></label>
+            <label class="sqp-option-field" title="Separate generations of the same prompt"><span>Takes</span><input type="number" id="sqp-variations" min="1" max="${MAX_VARIATIONS}" step="1" value="1"></label>
+            ${renderOptionsFields({}, ['orientation'])}
+          </div>
+        </details>
       </div>
 
       <div class="sqp-footer">
         <button class="sqp-btn sqp-btn-sm" id="sqp-set-token" title="Manually set token">🔑 Set Token</button>
+        <button class="sqp-btn sqp-btn-sm" id="sqp-import" title="Import prompts from text, CSV or JSONL">📂 Import</button>
+        <button class="sqp-btn sqp-btn-sm" id="sqp-templates" title="Prompt templates with variables">🧩 Templates</button>
+        <button class="sqp-btn sqp-btn-sm" id="sqp-sequence" title="Shots queued in order as one unit">🎞️ Sequence</button>
+        <button class="sqp-btn sqp-btn-sm" id="sqp-schedule" title="Submission window">⏰ Schedule</button>
+        <button class="sqp-btn sqp-btn-sm" id="sqp-backup" title="Export or restore the whole queue">💾 Backup</button>
+        <button class="sqp-btn sqp-btn-sm" id="sqp-retry-policy" title="Retry rules per failure type">🔁 Retries</button>
+        <button class="sqp-btn sqp-btn-sm" id="sqp-retry-failed" title="Re-queue every failed item">Retry Failed</button>
         <button class="sqp-btn sqp-btn-sm" id="sqp-clear-errors">Clear Errors</button>
+        <button class="sqp-btn sqp-btn-sm" id="sqp-clear-done">Clear Done</button>
         <button class="sqp-btn sqp-btn-sm" id="sqp-refresh">🔄</button>
       </div>
     `;
@@ -738,15 +1034,24 @@
       panel,
       badge: document.getElementById('sqp-badge'),
       activeCount: document.getElementById('sqp-active-count'),
+      maxCount: document.getElementById('sqp-max-count'),
       tokenStatus: document.getElementById('sqp-token-status'),
       mainStatus: document.getElementById('sqp-main-status'),
-      controllerStatus: document.getElementById('sqp-controller-status'),
+      engineStatus: document.getElementById('sqp-engine-status'),
+      creditsLeft: document.getElementById('sqp-credits-left'),
+      creditsNeeded: document.getElementById('sqp-credits-needed'),
+      accountStatus: document.getElementById('sqp-account-status'),
       alert: document.getElementById('sqp-alert'),
       debug: document.getElementById('sqp-debug'),
       debugContent: document.getElementById('sqp-debug-content'),
       queueList: document.getElementById('sqp-queue-list'),
+      queueTabs: document.getElementById('sqp-queue-tabs'),
       promptInput: document.getElementById('sqp-prompt-input'),
       orientationSelect: document.getElementById('sqp-orientation'),
+      prioritySelect: document.getElementById('sqp-priority'),
+      advancedOptions: document.getElementById('sqp-advanced'),
+      notBeforeInput: document.getElementById('sqp-not-before'),
+      variationsInput: document.getElementById('sqp-variations'),
       addBtn: document.getElementById('sqp-add-btn'),
       toggleAutomation: document.getElementById('sqp-toggle-automation'),
       toggleDebug: document.getElementById('sqp-toggle-debug'),
@@ -754,15 +1059,33 @@
       body: document.getElementById('sqp-body'),
       addForm: document.getElementById('sqp-add-form'),
       setTokenBtn: document.getElementById('sqp-set-token'),
+      importBtn: document.getElementById('sqp-import'),
+      backupBtn: document.getElementById('sqp-backup'),
+      templatesBtn: document.getElementById('sqp-templates'),
+      sequenceBtn: document.getElementById('sqp-sequence'),
+      scheduleBtn: document.getElementById('sqp-schedule'),
+      retryPolicyBtn: document.getElementById('sqp-retry-policy'),
+      retryFailedBtn: document.getElementById('sqp-retry-failed'),
       clearErrorsBtn: document.getElementById('sqp-clear-errors'),
+      clearDoneBtn: document.getElementById('sqp-clear-done'),
       refreshBtn: document.getElementById('sqp-refresh')
     };
 
     // Bind events
     bindUIEvents();
 
+    if (IS_SIDE_PANEL) {
+      // Fills the side panel; there is no Sora input to queue from here
+      panel.classList.add('sqp-side-panel');
+      state.uiElements.minimizeBtn.style.display = 'none';
+      return;
+    }
+
     // Create floating "Queue" button
     createQueueButton();
+
+    // "Queue remix" on the generations shown by the page
+    watchGenerationCards();
   }
 
   /**
@@ -812,11 +1135,14 @@
     if (soraInput) {
       const prompt = soraInput.value || soraInput.textContent || soraInput.innerText || '';
       if (prompt.trim()) {
-        addToQueue(prompt.trim());
-        showNotification('Prompt added to queue!', 'success');
+        addToQueue([{ prompt: prompt.trim() }]).then(result => {
+          if (result.success) showNotification('Prompt added to queue!', 'success');
+        });
       } else {
         showNotification('Please enter a prompt first', 'warning');
       }
+    } else if (!CONFIG.SHOW_PAGE_PANEL) {
+      showNotification('Could not find Sora prompt. Use the side panel.', 'info');
     } else {
       // Fallback - use our input
       showNotification('Could not find Sora prompt. Use the queue panel.', 'info');
@@ -831,16 +1157,32 @@
   function bindUIEvents() {
     const { 
       addBtn, promptInput, toggleAutomation, toggleDebug, minimizeBtn, 
-      orientationSelect, setTokenBtn, clearErrorsBtn, refreshBtn 
+      orientationSelect, prioritySelect, setTokenBtn, importBtn, backupBtn, templatesBtn, sequenceBtn, scheduleBtn, retryPolicyBtn, retryFailedBtn, clearErrorsBtn, clearDoneBtn, refreshBtn 
     } = state.uiElements;
 
     // Add to queue
     addBtn.addEventListener('click', () => {
       const prompt = promptInput.value.trim();
       if (prompt) {
-        addToQueue(prompt, {
-          orientation: orientationSelect.value
-        });
+        const { options, errors } = readOptionsFields(state.uiElements.advancedOptions);
+        const variations = readVariations(state.uiElements.variationsInput, errors);
+        if (errors.length > 0) {
+          showNotification(errors.join('; '), 'error');
+          state.uiElements.advancedOptions.open = true;
+          return;
+        }
+        addToQueue([{
+          prompt,
+          options: {
+            ...options,
+            orientation: orientationSelect.value
+          },
+          meta: {
+            notBefore: fromDateTimeLocal(state.uiElements.notBeforeInput.value),
+            priority: prioritySelect.value,
+            variations
+          }
+        }]);
         promptInput.value = '';
       }
     });
@@ -855,21 +1197,11 @@
 
     // Toggle automation
     toggleAutomation.addEventListener('click', () => {
-      if (state.isPaused && state.pauseReason === 'daily_limit') {
+      if (state.isPaused) {
         // Allow manual resume attempt
-        state.isPaused = false;
-        state.pauseReason = null;
-        saveQueue();
         showNotification('Resuming automation...', 'info');
-        checkAndSubmit();
-      } else {
-        state.isAutomationEnabled = !state.isAutomationEnabled;
-        saveQueue();
-        if (state.isAutomationEnabled) {
-          checkAndSubmit();
-        }
       }
-      updateUI();
+      runQueueCommand('TOGGLE_AUTOMATION');
     });
 
     // Toggle debug
@@ -886,7 +1218,7 @@
 
     // Refresh
     refreshBtn.addEventListener('click', () => {
-      pollPendingTasks();
+      runQueueCommand('REFRESH_ENGINE');
       checkTokenStatus();
     });
 
@@ -898,11 +1230,722 @@
       }
     });
 
+    // Bulk import
+    importBtn.addEventListener('click', openImportDialog);
+
+    // Backup / restore
+    backupBtn.addEventListener('click', openBackupDialog);
+
+    // Template manager
+    templatesBtn.addEventListener('click', openTemplatesDialog);
+
+    // Sequence editor
+    sequenceBtn.addEventListener('click', openSequenceDialog);
+
+    // Submission schedule
+    scheduleBtn.addEventListener('click', openScheduleDialog);
+
+    // Retry policy
+    retryPolicyBtn.addEventListener('click', openRetryPolicyDialog);
+
+    // Retry failed
+    retryFailedBtn.addEventListener('click', retryFailedItems);
+
     // Clear errors
     clearErrorsBtn.addEventListener('click', () => {
-      state.queue = state.queue.filter(item => item.status !== 'error');
-      saveQueue();
-      updateUI();
+      clearItems(['error', 'failed', 'unknown', 'rejected']);
+    });
+
+    // Clear finished generations
+    clearDoneBtn.addEventListener('click', () => {
+      clearItems(['succeeded']);
+    });
+  }
+
+  /**
+   * Create a modal dialog over the page. Returns null if it is already open.
+   */
+  function createDialog(id, title, bodyHtml, footerHtml) {
+    if (document.getElementById(id)) return null;
+
+    const overlay = document.createElement('div');
+    overlay.id = id;
+    overlay.className = 'sqp-dialog-overlay';
+    overlay.innerHTML = `
+      <div class="sqp-dialog">
+        <div class="sqp-dialog-header">
+          <span class="sqp-title">${title}</span>
+          <button class="sqp-btn sqp-btn-icon" data-action="close" title="Close">✖️</button>
+        </div>
+        <div class="sqp-dialog-body">${bodyHtml}</div>
+        <div class="sqp-dialog-footer">${footerHtml}</div>
+      </div>
+    `;
+    document.body.appendChild(overlay);
+
+    const close = () => overlay.remove();
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) close();
+    });
+    overlay.querySelector('[data-action="close"]').addEventListener('click', close);
+
+    return {
+      overlay,
+      close,
+      field: name => overlay.querySelector(`[data-field="${name}"]`)
+    };
+  }
+
+  /**
+   * Open the bulk import dialog (text / CSV / JSONL with preview)
+   */
+  function openImportDialog() {
+    const dialog = createDialog('sqp-import-dialog', '📂 Import Prompts', `
+          <div class="sqp-form-actions">
+            <select data-field="format" title="Format">
+              <option value="auto">Auto-detect</option>
+              <option value="text">Text (one prompt per line)</option>
+              <option value="csv">CSV (${CSV_COLUMNS.join(', ')})</option>
+              <option value="jsonl">JSONL (prompt + options)</option>
+            </select>
+            <input type="file" data-field="file" accept=".txt,.csv,.jsonl,.ndjson,text/plain,text/csv">
+          </div>
+          <textarea data-field="text" rows="6" placeholder="...or paste prompts here"></textarea>
+          <div class="sqp-import-summary" data-field="summary"></div>
+          <div class="sqp-import-preview" data-field="preview"></div>
+    `, `
+          <button class="sqp-btn" data-action="preview">Preview</button>
+          <button class="sqp-btn sqp-btn-primary" data-action="import" disabled>Add to Queue</button>
+    `);
+    if (!dialog) return;
+
+    const { overlay, field, close } = dialog;
+    const importBtn = overlay.querySelector('[data-action="import"]');
+    let rows = [];
+    let fileName = '';
+
+    const preview = () => {
+      const text = field('text').value;
+      const selected = field('format').value;
+      const format = selected === 'auto' ? detectImportFormat(text, fileName) : selected;
+
+      rows = annotateImportRows(parseImport(text, format));
+      const valid = rows.filter(r => r.errors.length === 0 && !r.duplicate);
+      const invalid = rows.filter(r => r.errors.length > 0).length;
+      const duplicates = rows.filter(r => r.duplicate).length;
+
+      field('summary').textContent =
+        `${format.toUpperCase()}: ${valid.length} to add, ${duplicates} duplicate, ${invalid} invalid`;
+
+      field('preview').innerHTML = rows.map(row => {
+        const status = row.errors.length > 0
+          ? `<span class="sqp-import-error">❌ ${escapeHtml(row.errors.join('; '))}</span>`
+          : row.duplicate
+            ? '<span class="sqp-import-duplicate">↩️ Duplicate</span>'
+            : '<span class="sqp-import-ok">✅</span>';
+        return `
+          <div class="sqp-import-row">
+            <span class="sqp-import-line">${row.line}</span>
+            <span class="sqp-import-prompt" title="${escapeHtml(row.prompt)}">${escapeHtml(truncatePrompt(row.prompt || '(empty)'))}</span>
+            ${status}
+          </div>
+        `;
+      }).join('');
+
+      importBtn.disabled = valid.length === 0;
+      importBtn.textContent = valid.length > 0 ? `Add ${valid.length} to Queue` : 'Add to Queue';
+    };
+
+    overlay.querySelector('[data-action="preview"]').addEventListener('click', preview);
+    field('format').addEventListener('change', preview);
+
+    field('file').addEventListener('change', async (e) => {
+      const file = e.target.files?.[0];
+      if (!file) return;
+      fileName = file.name;
+      field('text').value = await file.text();
+      preview();
+    });
+
+    importBtn.addEventListener('click', async () => {
+      // Re-run validation so edits made after the last preview are honored
+      preview();
+      const valid = rows.filter(r => r.errors.length === 0 && !r.duplicate);
+      if (valid.length === 0) return;
+
+      const result = await addToQueue(valid.map(row => ({ prompt: row.prompt, options: row.options })));
+      if (!result.success) return;
+      showNotification(`Imported ${valid.length} prompt${valid.length === 1 ? '' : 's'}`, 'success');
+      close();
+    });
+  }
+
+  /**
+   * Open the edit dialog for a queue item (prompt + every create-body field)
+   */
+  function openEditDialog(itemId) {
+    const item = state.queue.find(i => i.id === itemId);
+    if (!item || !EDITABLE_STATUSES.includes(item.status)) return;
+
+    const dialog = createDialog('sqp-edit-dialog', '✏️ Edit Queue Item', `
+          ${item.status === 'rejected' ? `<div class="sqp-item-rejection">${escapeHtml(getRejectionLabel(item))}: ${escapeHtml(item.errorMessage || '')}</div>` : ''}
+          <textarea data-field="prompt" rows="4">${escapeHtml(item.prompt)}</textarea>
+          <label class="sqp-option-field"><span>Not before</span>
+            <input type="datetime-local" data-field="notBefore" value="${toDateTimeLocal(item.notBefore)}">
+          </label>
+          <label class="sqp-option-field"><span>Priority</span>
+            <select data-field="priority">${renderPriorityOptions(item.priority || DEFAULT_PRIORITY)}</select>
+          </label>
+          <label class="sqp-option-field" title="Separate generations of the same prompt"><span>Takes</span>
+            <input type="number" data-field="variations" min="1" max="${MAX_VARIATIONS}" step="1" value="${item.variations || 1}">
+          </label>
+          <div class="sqp-options-fields">${renderOptionsFields(item.options)}</div>
+          <div class="sqp-import-summary" data-field="errors"></div>
+    `, `
+          <button class="sqp-btn sqp-btn-primary" data-action="save">${item.status === 'queued' ? 'Save' : 'Save & Re-queue'}</button>
+    `);
+    if (!dialog) return;
+
+    const { overlay, field, close } = dialog;
+
+    overlay.querySelector('[data-action="save"]').addEventListener('click', () => {
+      const prompt = field('prompt').value.trim();
+      const { options, errors } = readOptionsFields(overlay.querySelector('.sqp-options-fields'));
+      const variations = readVariations(field('variations'), errors);
+      if (!prompt) errors.unshift('Prompt is required');
+
+      if (errors.length > 0) {
+        field('errors').innerHTML = `<span class="sqp-import-error">❌ ${errors.map(escapeHtml).join('<br>')}</span>`;
+        return;
+      }
+
+      // The item may have been picked up for submission while the dialog was open
+      const current = state.queue.find(i => i.id === itemId);
+      if (!current || !EDITABLE_STATUSES.includes(current.status)) {
+        showNotification('Item is no longer editable', 'warning');
+        close();
+        return;
+      }
+
+      updateQueueItem(itemId, prompt, { ...OPTION_DEFAULTS, ...options },
+        fromDateTimeLocal(field('notBefore').value), field('priority').value, variations);
+      close();
+    });
+  }
+
+  /**
+   * Open the template manager (edit, preview expansions, enqueue)
+   */
+  async function openTemplatesDialog() {
+    let templates;
+    try {
+      templates = await loadTemplates();
+    } catch (err) {
+      showNotification('Could not load templates: ' + err.message, 'error');
+      return;
+    }
+
+    const dialog = createDialog('sqp-templates-dialog', '🧩 Prompt Templates', `
+          <div class="sqp-form-actions">
+            <select data-field="select" title="Saved templates"></select>
+            <button class="sqp-btn sqp-btn-sm" data-action="new">New</button>
+            <button class="sqp-btn sqp-btn-sm" data-action="delete">Delete</button>
+          </div>
+          <input type="text" data-field="name" placeholder="Template name">
+          <textarea data-field="text" rows="3" placeholder="A {red|blue|green} car in {rain|snow} with {{subject}}"></textarea>
+          <textarea data-field="variables" rows="3" placeholder="subject: a dog | a robot | an old man"></textarea>
+          <details class="sqp-advanced">
+            <summary>Generation options</summary>
+            <div class="sqp-options-fields" data-field="options"></div>
+          </details>
+          <div class="sqp-import-summary" data-field="summary"></div>
+          <div class="sqp-import-preview" data-field="preview"></div>
+    `, `
+          <button class="sqp-btn" data-action="save">Save</button>
+          <button class="sqp-btn sqp-btn-primary" data-action="enqueue" disabled>Enqueue</button>
+    `);
+    if (!dialog) return;
+
+    const { overlay, field, close } = dialog;
+    const enqueueBtn = overlay.querySelector('[data-action="enqueue"]');
+    let current = null;
+
+    const renderSelect = () => {
+      field('select').innerHTML = templates.length
+        ? templates.map(t => `<option value="${t.id}" ${t.id === current?.id ? 'selected' : ''}>${escapeHtml(t.name)}</option>`).join('')
+        : '<option value="">No saved templates</option>';
+    };
+
+    const load = (template) => {
+      current = template;
+      field('name').value = template?.name || '';
+      field('text').value = template?.text || '';
+      field('variables').value = formatTemplateVariables(template?.variables);
+      field('options').innerHTML = renderOptionsFields(template?.options || {});
+      renderSelect();
+      preview();
+    };
+
+    // Collect the form into a template object; returns { template, errors }
+    const readForm = () => {
+      const { variables, errors: variableErrors } = parseTemplateVariables(field('variables').value);
+      const { options, errors: optionErrors } = readOptionsFields(field('options'));
+      const template = {
+        id: current?.id || `t_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        name: field('name').value.trim() || 'Untitled template',
+        text: field('text').value.trim(),
+        variables,
+        options,
+        createdAt: current?.createdAt || Date.now(),
+        updatedAt: Date.now()
+      };
+      return { template, errors: [...variableErrors, ...optionErrors] };
+    };
+
+    const preview = () => {
+      const { template, errors } = readForm();
+      const expansion = expandTemplate(template.text, template.variables);
+      const allErrors = [...errors, ...expansion.errors];
+      const overCap = expansion.total > CONFIG.TEMPLATE_MAX_EXPANSIONS;
+
+      if (allErrors.length > 0) {
+        field('summary').innerHTML = `<span class="sqp-import-error">❌ ${allErrors.map(escapeHtml).join('<br>')}</span>`;
+      } else if (overCap) {
+        field('summary').innerHTML = `<span class="sqp-import-error">❌ ${expansion.total} prompts exceeds the cap of ${CONFIG.TEMPLATE_MAX_EXPANSIONS}</span>`;
+      } else {
+        field('summary').textContent = template.text ? `${expansion.total} prompt${expansion.total === 1 ? '' : 's'}` : '';
+      }
+
+      field('preview').innerHTML = expansion.prompts.slice(0, 50).map((prompt, i) => `
+        <div class="sqp-import-row">
+          <span class="sqp-import-line">${i + 1}</span>
+          <span class="sqp-import-prompt" title="${escapeHtml(prompt)}">${escapeHtml(truncatePrompt(prompt))}</span>
+        </div>
+      `).join('') + (expansion.prompts.length > 50 ? `<div class="sqp-import-summary">...and ${expansion.total - 50} more</div>` : '');
+
+      const ok = allErrors.length === 0 && !overCap && expansion.prompts.length > 0;
+      enqueueBtn.disabled = !ok;
+      enqueueBtn.textContent = ok ? `Enqueue ${expansion.total}` : 'Enqueue';
+      return ok ? template : null;
+    };
+
+    const persist = async (template) => {
+      const index = templates.findIndex(t => t.id === template.id);
+      if (index === -1) {
+        templates.push(template);
+      } else {
+        templates[index] = template;
+      }
+      current = template;
+      await saveTemplates(templates);
+      renderSelect();
+    };
+
+    field('select').addEventListener('change', () => {
+      load(templates.find(t => t.id === field('select').value) || null);
+    });
+    ['name', 'text', 'variables'].forEach(name => field(name).addEventListener('input', preview));
+    field('options').addEventListener('change', preview);
+
+    overlay.querySelector('[data-action="new"]').addEventListener('click', () => load(null));
+
+    overlay.querySelector('[data-action="delete"]').addEventListener('click', async () => {
+      if (!current || !confirm(`Delete template "${current.name}"?`)) return;
+      templates = templates.filter(t => t.id !== current.id);
+      await saveTemplates(templates);
+      load(templates[0] || null);
+    });
+
+    overlay.querySelector('[data-action="save"]').addEventListener('click', async () => {
+      const { template, errors } = readForm();
+      if (errors.length > 0 || !template.text) {
+        showNotification(errors[0] || 'Template text is required', 'error');
+        return;
+      }
+      await persist(template);
+      showNotification(`Template "${template.name}" saved`, 'success');
+    });
+
+    enqueueBtn.addEventListener('click', async () => {
+      const template = preview();
+      if (!template) return;
+
+      // Templates are saved on enqueue so queue items always reference a stored template
+      await persist(template);
+      const count = await enqueueTemplate(template);
+      showNotification(`Queued ${count} prompts from "${template.name}"`, 'success');
+      close();
+    });
+
+    load(templates[0] || null);
+  }
+
+  /**
+   * Open the sequence editor: an ordered list of shots queued together
+   */
+  function openSequenceDialog() {
+    const dialog = createDialog('sqp-sequence-dialog', '🎞️ Sequence', `
+          <input type="text" data-field="name" placeholder="Sequence name">
+          <div class="sqp-sequence-shots" data-field="shots"></div>
+          <button class="sqp-btn sqp-btn-sm" data-action="add-shot">➕ Add shot</button>
+          <details class="sqp-advanced">
+            <summary>Generation options (every shot)</summary>
+            <div class="sqp-options-fields" data-field="options">${renderOptionsFields({})}</div>
+          </details>
+          <div class="sqp-import-summary">Shots are sent in order. A shot that uses the previous output waits until that shot has finished.</div>
+    `, `
+          <button class="sqp-btn sqp-btn-primary" data-action="enqueue">Enqueue</button>
+    `);
+    if (!dialog) return;
+
+    const { overlay, field, close } = dialog;
+    const enqueueBtn = overlay.querySelector('[data-action="enqueue"]');
+    const addShotBtn = overlay.querySelector('[data-action="add-shot"]');
+    const shots = [
+      { prompt: '', waitForPrevious: false, linkField: null },
+      { prompt: '', waitForPrevious: true, linkField: null }
+    ];
+
+    const renderShots = () => {
+      field('shots').innerHTML = shots.map((shot, i) => `
+        <div class="sqp-sequence-shot" data-index="${i}">
+          <div class="sqp-sequence-shot-header">
+            <span class="sqp-sequence-shot-title">Shot ${i + 1}</span>
+            ${i > 0 ? `
+              <label title="Send only once the previous shot has finished">
+                <input type="checkbox" data-shot="wait" ${shot.waitForPrevious || shot.linkField ? 'checked' : ''} ${shot.linkField ? 'disabled' : ''}> Wait
+              </label>
+              <select data-shot="link" title="Pass the previous shot's video to this one">
+                <option value="">No reference</option>
+                ${SEQUENCE_LINK_FIELDS.map(key => `<option value="${key}" ${key === shot.linkField ? 'selected' : ''}>Previous as ${OPTION_RULES[key].label.replace(/ ID$/, '').toLowerCase()}</option>`).join('')}
+              </select>
+            ` : ''}
+            ${i > 0 ? '<button class="sqp-btn sqp-btn-icon" data-shot="up" title="Move up">⬆️</button>' : ''}
+            ${i < shots.length - 1 ? '<button class="sqp-btn sqp-btn-icon" data-shot="down" title="Move down">⬇️</button>' : ''}
+            ${shots.length > 1 ? '<button class="sqp-btn sqp-btn-icon" data-shot="remove" title="Remove shot">❌</button>' : ''}
+          </div>
+          <textarea data-shot="prompt" rows="2" placeholder="Prompt for shot ${i + 1}">${escapeHtml(shot.prompt)}</textarea>
+        </div>
+      `).join('');
+      addShotBtn.disabled = shots.length >= CONFIG.SEQUENCE_MAX_SHOTS;
+      enqueueBtn.textContent = `Enqueue ${shots.length} shots`;
+    };
+
+    // Prompts and settings are kept in `shots` so re-renders don't lose them
+    field('shots').addEventListener('input', (e) => {
+      const index = Number(e.target.closest('.sqp-sequence-shot')?.dataset.index);
+      if (e.target.dataset.shot === 'prompt') shots[index].prompt = e.target.value;
+    });
+
+    field('shots').addEventListener('change', (e) => {
+      const shot = shots[Number(e.target.closest('.sqp-sequence-shot')?.dataset.index)];
+      if (e.target.dataset.shot === 'wait') {
+        shot.waitForPrevious = e.target.checked;
+      } else if (e.target.dataset.shot === 'link') {
+        shot.linkField = e.target.value || null;
+        renderShots();
+      }
+    });
+
+    field('shots').addEventListener('click', (e) => {
+      const action = e.target.closest('button[data-shot]')?.dataset.shot;
+      if (!action) return;
+      const index = Number(e.target.closest('.sqp-sequence-shot').dataset.index);
+
+      if (action === 'remove') {
+        shots.splice(index, 1);
+      } else {
+        const target = action === 'up' ? index - 1 : index + 1;
+        [shots[index], shots[target]] = [shots[target], shots[index]];
+      }
+      renderShots();
+    });
+
+    addShotBtn.addEventListener('click', () => {
+      shots.push({ prompt: '', waitForPrevious: true, linkField: null });
+      renderShots();
+      field('shots').querySelector('.sqp-sequence-shot:last-child textarea')?.focus();
+    });
+
+    enqueueBtn.addEventListener('click', async () => {
+      const { options, errors } = readOptionsFields(field('options'));
+      const emptyShot = shots.findIndex(shot => !shot.prompt.trim());
+      if (emptyShot !== -1) errors.unshift(`Shot ${emptyShot + 1} has no prompt`);
+      if (errors.length > 0) {
+        showNotification(errors[0], 'error');
+        return;
+      }
+
+      const name = field('name').value.trim() || 'Sequence';
+      const count = await enqueueSequence(name, shots.map(shot => ({ ...shot, prompt: shot.prompt.trim() })), options);
+      if (count > 0) {
+        showNotification(`Queued ${count} shots of "${name}"`, 'success');
+        close();
+      }
+    });
+
+    renderShots();
+    field('name').focus();
+  }
+
+  /**
+   * Open the settings for the selected named queue (plus the global
+   * slot-sharing mode)
+   */
+  function openQueueSettingsDialog() {
+    const config = getSelectedQueue();
+    if (!config) return;
+
+    // Offer up to the account's limit (and the current value, if above it)
+    const maxSlots = Math.max(getConcurrencyLimit(), config.slots || 0);
+    const slotOptions = `<option value="" ${config.slots == null ? 'selected' : ''}>All slots</option>` +
+      Array.from({ length: maxSlots }, (_, i) => i + 1)
+        .map(n => `<option value="${n}" ${n === config.slots ? 'selected' : ''}>${n}</option>`)
+        .join('');
+
+    const dialog = createDialog('sqp-queue-dialog', '🗂️ Queue Settings', `
+          <label class="sqp-option-field"><span>Name</span>
+            <input type="text" data-field="name" value="${escapeHtml(config.name)}">
+          </label>
+          <label><input type="checkbox" data-field="isEnabled" ${config.isEnabled ? 'checked' : ''}> Submit from this queue</label>
+          <label class="sqp-option-field"><span>Slot share (max concurrent generations)</span>
+            <select data-field="slots">${slotOptions}</select>
+          </label>
+          <label class="sqp-option-field"><span>Sharing between queues (all queues)</span>
+            <select data-field="mode">
+              <option value="round_robin" ${state.schedulingMode === 'round_robin' ? 'selected' : ''}>Round-robin</option>
+              <option value="weighted" ${state.schedulingMode === 'weighted' ? 'selected' : ''}>Weighted by slot share</option>
+            </select>
+          </label>
+          <details class="sqp-advanced">
+            <summary>Default options for new prompts</summary>
+            <div class="sqp-options-fields">${renderOptionsFields(config.defaultOptions)}</div>
+          </details>
+          <div class="sqp-import-summary" data-field="errors"></div>
+    `, `
+          ${config.id === DEFAULT_QUEUE_ID ? '' : '<button class="sqp-btn" data-action="delete">Delete Queue</button>'}
+          <button class="sqp-btn sqp-btn-primary" data-action="save">Save</button>
+    `);
+    if (!dialog) return;
+
+    const { overlay, field, close } = dialog;
+
+    overlay.querySelector('[data-action="save"]').addEventListener('click', async () => {
+      const { options, errors } = readOptionsFields(overlay.querySelector('.sqp-options-fields'));
+      if (!field('name').value.trim()) errors.unshift('Name is required');
+
+      if (errors.length > 0) {
+        field('errors').innerHTML = `<span class="sqp-import-error">❌ ${errors.map(escapeHtml).join('<br>')}</span>`;
+        return;
+      }
+
+      const result = await runQueueCommand('QUEUE_CONFIGURE', {
+        queueId: config.id,
+        name: field('name').value.trim(),
+        isEnabled: field('isEnabled').checked,
+        slots: field('slots').value ? Number(field('slots').value) : null,
+        defaultOptions: options
+      });
+      if (!result.success) return;
+
+      if (field('mode').value !== state.schedulingMode) {
+        await runQueueCommand('SET_SCHEDULING_MODE', { mode: field('mode').value });
+      }
+      selectQueue(config.id);
+      close();
+    });
+
+    overlay.querySelector('[data-action="delete"]')?.addEventListener('click', async () => {
+      const count = state.queue.filter(i => i.queueId === config.id).length;
+      if (!confirm(`Delete queue "${config.name}" and its ${count} item${count === 1 ? '' : 's'}?`)) return;
+
+      const result = await runQueueCommand('QUEUE_DELETE', { queueId: config.id });
+      if (result.success) {
+        selectQueue(DEFAULT_QUEUE_ID);
+        close();
+      }
+    });
+  }
+
+  /**
+   * Open the global submission schedule dialog
+   */
+  function openScheduleDialog() {
+    const schedule = { ...DEFAULT_SCHEDULE, ...state.schedule };
+    const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+    const dialog = createDialog('sqp-schedule-dialog', '⏰ Submission Schedule', `
+          <label><input type="checkbox" data-field="enabled" ${schedule.enabled ? 'checked' : ''}> Only submit inside this window</label>
+          <div class="sqp-form-actions">
+            <label>From <input type="time" data-field="start" value="${schedule.start}"></label>
+            <label>to <input type="time" data-field="end" value="${schedule.end}"></label>
+          </div>
+          <div class="sqp-form-actions sqp-schedule-days">
+            ${dayNames.map((name, day) => `
+              <label><input type="checkbox" data-day="${day}" ${schedule.days.includes(day) ? 'checked' : ''}> ${name}</label>
+            `).join('')}
+          </div>
+          <div class="sqp-import-summary">Windows that end before they start run past midnight. Per-item start times are set under Advanced options.</div>
+          <div class="sqp-import-summary" data-field="errors"></div>
+    `, `
+          <button class="sqp-btn sqp-btn-primary" data-action="save">Save</button>
+    `);
+    if (!dialog) return;
+
+    const { overlay, field, close } = dialog;
+
+    overlay.querySelector('[data-action="save"]').addEventListener('click', async () => {
+      const next = {
+        enabled: field('enabled').checked,
+        start: field('start').value,
+        end: field('end').value,
+        days: [...overlay.querySelectorAll('[data-day]')]
+          .filter(el => el.checked)
+          .map(el => Number(el.dataset.day))
+      };
+
+      const errors = validateSchedule(next);
+      if (errors.length > 0) {
+        field('errors').innerHTML = `<span class="sqp-import-error">❌ ${errors.map(escapeHtml).join('<br>')}</span>`;
+        return;
+      }
+
+      const result = await runQueueCommand('SET_SCHEDULE', { schedule: next });
+      if (result.success) close();
+    });
+  }
+
+  /**
+   * Open the retry policy dialog (rules per failure class plus the shared
+   * backoff curve)
+   */
+  function openRetryPolicyDialog() {
+    const policy = resolveRetryPolicy(state.retryPolicy);
+
+    const dialog = createDialog('sqp-retry-dialog', '🔁 Retry Policy', `
+          <table class="sqp-retry-table">
+            <tr><th>Failure</th><th>Retry</th><th>Max attempts</th><th>First wait (s)</th></tr>
+            ${Object.entries(FAILURE_CLASSES).map(([name, label]) => `
+              <tr data-class="${name}">
+                <td>${escapeHtml(label)}</td>
+                <td><input type="checkbox" data-rule="retry" ${policy.rules[name].retry ? 'checked' : ''}></td>
+                <td><input type="number" data-rule="maxAttempts" min="1" max="20" value="${policy.rules[name].maxAttempts}"></td>
+                <td><input type="number" data-rule="baseDelay" min="0" value="${policy.rules[name].baseDelayMs / 1000}"></td>
+              </tr>
+            `).join('')}
+          </table>
+          <div class="sqp-form-actions">
+            <label>Multiplier <input type="number" data-field="multiplier" min="1" max="10" step="0.1" value="${policy.multiplier}"></label>
+            <label>Max wait (min) <input type="number" data-field="maxDelay" min="1" value="${policy.maxDelayMs / 60000}"></label>
+            <label>Jitter (%) <input type="number" data-field="jitter" min="0" max="100" value="${Math.round(policy.jitterRatio * 100)}"></label>
+          </div>
+          <div class="sqp-import-summary">Each retry waits the first wait × multiplier per earlier attempt, capped at the max wait, plus random jitter. Concurrent and daily limits are handled separately.</div>
+          <div class="sqp-import-summary" data-field="errors"></div>
+    `, `
+          <button class="sqp-btn" data-action="reset">Defaults</button>
+          <button class="sqp-btn sqp-btn-primary" data-action="save">Save</button>
+    `);
+    if (!dialog) return;
+
+    const { overlay, field, close } = dialog;
+
+    overlay.querySelector('[data-action="reset"]').addEventListener('click', async () => {
+      const result = await runQueueCommand('SET_RETRY_POLICY', { policy: null });
+      if (result.success) close();
+    });
+
+    overlay.querySelector('[data-action="save"]').addEventListener('click', async () => {
+      const rules = {};
+      overlay.querySelectorAll('[data-class]').forEach(row => {
+        const rule = (name) => row.querySelector(`[data-rule="${name}"]`);
+        rules[row.dataset.class] = {
+          retry: rule('retry').checked,
+          maxAttempts: Number(rule('maxAttempts').value),
+          baseDelayMs: Math.round(Number(rule('baseDelay').value) * 1000)
+        };
+      });
+
+      const next = {
+        multiplier: Number(field('multiplier').value),
+        maxDelayMs: Math.round(Number(field('maxDelay').value) * 60000),
+        jitterRatio: Number(field('jitter').value) / 100,
+        rules
+      };
+
+      const errors = validateRetryPolicy(next);
+      if (errors.length > 0) {
+        field('errors').innerHTML = `<span class="sqp-import-error">❌ ${errors.map(escapeHtml).join('<br>')}</span>`;
+        return;
+      }
+
+      const result = await runQueueCommand('SET_RETRY_POLICY', { policy: next });
+      if (result.success) close();
+    });
+  }
+
+  /**
+   * Open the backup dialog (export file, or restore with merge/replace)
+   */
+  function openBackupDialog() {
+    const dialog = createDialog('sqp-backup-dialog', '💾 Queue Backup', `
+          <div class="sqp-form-actions">
+            <span class="sqp-import-summary">Export ${state.queue.length} items with statuses, retry counts and pause state</span>
+            <button class="sqp-btn" data-action="export">Export</button>
+          </div>
+          <div class="sqp-form-actions">
+            <input type="file" data-field="file" accept=".json,application/json">
+          </div>
+          <div class="sqp-import-summary" data-field="summary">Choose a backup file to restore</div>
+          <div class="sqp-form-actions">
+            <label><input type="radio" name="sqp-restore-mode" value="merge" checked> Merge with current queue</label>
+            <label><input type="radio" name="sqp-restore-mode" value="replace"> Replace current queue</label>
+          </div>
+    `, `
+          <button class="sqp-btn sqp-btn-primary" data-action="restore" disabled>Restore</button>
+    `);
+    if (!dialog) return;
+
+    const { overlay, field, close } = dialog;
+    const restoreBtn = overlay.querySelector('[data-action="restore"]');
+    let backup = null;
+
+    overlay.querySelector('[data-action="export"]').addEventListener('click', () => {
+      exportBackup();
+      showNotification('Queue exported', 'success');
+    });
+
+    field('file').addEventListener('change', async (e) => {
+      const file = e.target.files?.[0];
+      if (!file) return;
+
+      const result = parseBackup(await file.text());
+      backup = result.backup;
+
+      if (backup) {
+        const exported = backup.exportedAt ? new Date(backup.exportedAt).toLocaleString() : 'unknown date';
+        field('summary').innerHTML = `✅ ${backup.state.queue.length} items, exported ${escapeHtml(exported)}`;
+      } else {
+        const shown = result.errors.slice(0, 5).map(escapeHtml).join('<br>');
+        const more = result.errors.length > 5 ? `<br>...and ${result.errors.length - 5} more` : '';
+        field('summary').innerHTML = `<span class="sqp-import-error">❌ ${shown}${more}</span>`;
+      }
+      restoreBtn.disabled = !backup;
+    });
+
+    restoreBtn.addEventListener('click', async () => {
+      if (!backup) return;
+
+      const mode = overlay.querySelector('input[name="sqp-restore-mode"]:checked').value;
+      if (mode === 'replace' && state.queue.length > 0 &&
+          !confirm(`Replace the current queue (${state.queue.length} items)?`)) {
+        return;
+      }
+
+      const result = await runQueueCommand('RESTORE_BACKUP', { backup, mode });
+      if (!result.success) return;
+      const added = result.added;
+      showNotification(`Restored ${added} item${added === 1 ? '' : 's'}`, 'success');
+      close();
     });
   }
 
@@ -911,36 +1954,78 @@
    */
   function updateUI() {
     const { 
-      badge, activeCount, tokenStatus, mainStatus, controllerStatus,
-      alert, queueList, toggleAutomation 
+      panel, badge, activeCount, maxCount, tokenStatus, mainStatus, engineStatus,
+      creditsLeft, creditsNeeded, accountStatus, alert, queueList, toggleAutomation 
     } = state.uiElements;
 
+    // The on-page panel can be switched off in favor of the side panel
+    if (!IS_SIDE_PANEL) {
+      panel.style.display = CONFIG.SHOW_PAGE_PANEL ? '' : 'none';
+    }
+
     // Badge
     const queuedCount = state.queue.filter(i => i.status === 'queued' || i.status === 'sending').length;
     badge.textContent = queuedCount;
     badge.classList.toggle('sqp-badge-active', queuedCount > 0);
 
     // Active count
-    activeCount.textContent = state.activeTaskCount;
-    activeCount.classList.toggle('sqp-limit', state.activeTaskCount >= CONFIG.MAX_CONCURRENT_TASKS);
-
-    // Token status
-    tokenStatus.textContent = state.hasValidToken ? '✅' : '❌';
+    activeCount.textContent = state.engine.activeTaskCount;
+    activeCount.classList.toggle('sqp-limit', state.engine.activeTaskCount >= getConcurrencyLimit());
+    maxCount.textContent = state.engine.maxConcurrentTasks ?? '?';
+    maxCount.title = getConcurrencySourceLabel(state.engine.concurrencySource);
+
+    // Token status, with its age
+    const tokenStale = isTokenStale();
+    if (!state.hasValidToken) {
+      tokenStatus.textContent = '❌';
+    } else {
+      const age = state.lastTokenCapture ? ` ${formatDuration(Date.now() - state.lastTokenCapture)}` : '';
+      tokenStatus.textContent = `${tokenStale ? '⚠️' : '✅'}${age}`;
+    }
+    tokenStatus.classList.toggle('sqp-limit', tokenStale);
     tokenStatus.title = state.hasValidToken 
-      ? `Token captured ${state.lastTokenCapture ? formatTimeAgo(state.lastTokenCapture) : ''}` 
+      ? `Token captured ${state.lastTokenCapture ? formatTimeAgo(state.lastTokenCapture) : ''} from ${formatTokenSource(state.engine.tokenSource)}${tokenStale ? ' - stale, generate once manually to refresh it' : ''}` 
       : 'No token - generate once manually';
 
     // MAIN world status
-    mainStatus.textContent = state.mainWorldReady ? '✅' : '❓';
-    mainStatus.title = state.mainWorldReady 
+    mainStatus.textContent = state.engine.mainWorldReady ? '✅' : '❓';
+    mainStatus.title = state.engine.mainWorldReady 
       ? 'MAIN world execution working' 
       : 'MAIN world not yet verified';
 
-    // Controller status
-    controllerStatus.textContent = state.isController ? '✅' : '➖';
-    controllerStatus.title = state.isController 
-      ? 'This tab is the controller' 
-      : 'Another tab is controlling';
+    // Which tab the background engine is running API calls through
+    if (!state.engine.tabId) {
+      engineStatus.textContent = '❓';
+      engineStatus.title = 'No loaded Sora tab for the engine yet';
+    } else if (IS_SIDE_PANEL) {
+      engineStatus.textContent = '✅';
+      engineStatus.title = `The engine is using Sora tab ${state.engine.tabId}`;
+    } else {
+      engineStatus.textContent = state.engine.tabId === state.tabId ? '✅' : '➖';
+      engineStatus.title = state.engine.tabId === state.tabId
+        ? 'The engine is using this tab'
+        : 'The engine is using another Sora tab';
+    }
+
+    // Credits: last known balance vs. estimated cost of everything still queued
+    const credits = state.engine.credits || {};
+    const needed = estimateQueueCost(state.queue, credits.costs);
+    creditsLeft.textContent = credits.remaining ?? '?';
+    creditsLeft.title = credits.updatedAt
+      ? `Reported ${formatTimeAgo(credits.updatedAt)}${credits.resetAt ? `, resets in ${formatDuration(credits.resetAt - Date.now())}` : ''}`
+      : 'Not known until Sora reports it after a submission';
+    creditsNeeded.textContent = needed;
+    creditsNeeded.classList.toggle('sqp-limit', credits.remaining != null && needed > credits.remaining);
+
+    // Account owning the queue, and what other accounts still have waiting
+    const accountMismatch = isAccountMismatch();
+    const parked = (state.engine.parkedAccounts || []).filter(a => a.waiting > 0);
+    accountStatus.textContent = `${accountMismatch ? '⚠️ ' : ''}${state.queueAccountLabel || state.queueAccountId || '?'}`;
+    accountStatus.classList.toggle('sqp-limit', accountMismatch);
+    accountStatus.title = [
+      state.queueAccountId ? 'Owner of this queue' : 'Not detected yet',
+      ...parked.map(a => `${a.label || a.accountId}: ${a.waiting} waiting`)
+    ].join('\n');
 
     // Automation button
     if (state.isPaused) {
@@ -957,8 +2042,12 @@
       toggleAutomation.classList.remove('sqp-paused');
     }
 
-    // Alert for daily limit
-    if (state.isPaused && state.pauseReason === 'daily_limit' && state.dailyLimitResetTime) {
+    // Alerts, most blocking first
+    if (accountMismatch) {
+      alert.style.display = 'block';
+      alert.className = 'sqp-alert sqp-alert-error';
+      alert.innerHTML = `Signed in with another account than the queue's owner (<strong>${escapeHtml(state.queueAccountLabel || state.queueAccountId)}</strong>). Submissions are held until the account is checked again.`;
+    } else if (state.isPaused && state.pauseReason === 'daily_limit' && state.dailyLimitResetTime) {
       const remaining = state.dailyLimitResetTime - Date.now();
       if (remaining > 0) {
         alert.style.display = 'block';
@@ -968,34 +2057,58 @@
           <button class="sqp-btn sqp-btn-sm" id="sqp-retry-now">Retry Now</button>
         `;
         document.getElementById('sqp-retry-now')?.addEventListener('click', () => {
-          state.isPaused = false;
-          state.pauseReason = null;
-          saveQueue();
-          checkAndSubmit();
-          updateUI();
+          runQueueCommand('RESUME_AUTOMATION');
         });
       } else {
-        // Reset time passed
-        state.isPaused = false;
-        state.pauseReason = null;
-        state.dailyLimitResetTime = null;
+        // Reset time passed; the engine unpauses on its next tick
         alert.style.display = 'none';
-        saveQueue();
-        checkAndSubmit();
       }
+    } else if (state.isPaused && state.pauseReason === 'insufficient_credits') {
+      const resetIn = state.dailyLimitResetTime ? state.dailyLimitResetTime - Date.now() : 0;
+      alert.style.display = 'block';
+      alert.className = 'sqp-alert sqp-alert-warning';
+      alert.innerHTML = `
+        Not enough credits for the next prompt${resetIn > 0 ? `. Resets in <strong>${formatDuration(resetIn)}</strong>` : ''}
+        <button class="sqp-btn sqp-btn-sm" id="sqp-retry-now">Retry Now</button>
+      `;
+      document.getElementById('sqp-retry-now')?.addEventListener('click', () => {
+        runQueueCommand('RESUME_AUTOMATION');
+      });
+    } else if (state.isPaused && state.pauseReason === 'token_stale') {
+      alert.style.display = 'block';
+      alert.className = 'sqp-alert sqp-alert-warning';
+      alert.innerHTML = 'Paused: the token is stale. Generate once manually to capture a fresh one; the queue resumes by itself.';
     } else if (!state.hasValidToken) {
       alert.style.display = 'block';
       alert.className = 'sqp-alert sqp-alert-warning';
       alert.innerHTML = 'No token captured. Generate once manually, or click <strong>🔑 Set Token</strong>.';
-    } else if (!state.mainWorldReady) {
+    } else if (tokenStale) {
+      alert.style.display = 'block';
+      alert.className = 'sqp-alert sqp-alert-warning';
+      alert.innerHTML = `Token is <strong>${formatDuration(Date.now() - state.lastTokenCapture)}</strong> old. Generate once manually to refresh it.`;
+    } else if (!state.engine.mainWorldReady) {
       alert.style.display = 'block';
       alert.className = 'sqp-alert sqp-alert-info';
       alert.innerHTML = 'Waiting for MAIN world verification...';
+    } else if (state.schedule?.enabled && getNextWindowTime(state.schedule, Date.now()) !== Date.now() &&
+               state.queue.some(item => item.status === 'queued')) {
+      const opensAt = getNextWindowTime(state.schedule, Date.now());
+      alert.style.display = 'block';
+      alert.className = 'sqp-alert sqp-alert-info';
+      alert.innerHTML = opensAt
+        ? `Outside submission window. Opens <strong>${escapeHtml(formatEligibleAt(opensAt))}</strong>`
+        : 'Submission schedule has no days selected.';
+    } else if (parked.length > 0) {
+      alert.style.display = 'block';
+      alert.className = 'sqp-alert sqp-alert-info';
+      alert.innerHTML = `Waiting for other accounts: ${parked.map(a =>
+        `<strong>${escapeHtml(a.label || a.accountId)}</strong> (${a.waiting})`).join(', ')}. Sign in with one to run its queue.`;
     } else {
       alert.style.display = 'none';
     }
 
     // Queue list
+    renderQueueTabs();
     renderQueueList();
 
     // Debug panel
@@ -1013,62 +2126,372 @@
     const debugInfo = {
       'Automation': state.isAutomationEnabled ? 'ON' : 'OFF',
       'Paused': state.isPaused ? `YES (${state.pauseReason})` : 'NO',
-      'Controller': state.isController ? 'YES' : 'NO',
+      'Engine Tab': state.engine.tabId ? `${state.engine.tabId}${state.engine.tabId === state.tabId ? ' (this)' : ''}` : 'none',
       'Token': state.hasValidToken ? 'YES' : 'NO',
-      'MAIN Ready': state.mainWorldReady ? 'YES' : 'NO',
-      'Active Tasks': `${state.activeTaskCount}/${CONFIG.MAX_CONCURRENT_TASKS}`,
+      'Token From': formatTokenSource(state.engine.tokenSource),
+      'Usable For Create': getTokenUsabilityLabel(state.engine.tokenSource),
+      'Token Age': state.lastTokenCapture ? `${formatDuration(Date.now() - state.lastTokenCapture)}${isTokenStale() ? ' (stale)' : ''}` : 'N/A',
+      'MAIN Ready': state.engine.mainWorldReady ? 'YES' : 'NO',
+      'Active Tasks': `${state.engine.activeTaskCount}/${state.engine.maxConcurrentTasks ?? '?'}`,
+      'Limit From': getConcurrencySourceLabel(state.engine.concurrencySource),
+      'Credits': state.engine.credits?.remaining ?? 'unknown',
+      'Signed In': state.engine.accountLabel || state.engine.accountId || 'unknown',
+      'Queue Owner': state.queueAccountLabel || state.queueAccountId || 'none',
       'Queue Length': state.queue.length,
-      'Last Poll': state.lastPollTime ? formatTimeAgo(state.lastPollTime) : 'never',
-      'Last Submit': state.lastSubmitTime ? formatTimeAgo(state.lastSubmitTime) : 'never',
+      'Last Poll': state.engine.lastPollTime ? formatTimeAgo(state.engine.lastPollTime) : 'never',
+      'Last Submit': state.engine.lastSubmitTime ? formatTimeAgo(state.engine.lastSubmitTime) : 'never',
       'Daily Reset': state.dailyLimitResetTime 
         ? new Date(state.dailyLimitResetTime).toLocaleTimeString() 
-        : 'N/A'
+        : 'N/A',
+      'Schedule': state.schedule?.enabled ? `${state.schedule.start}-${state.schedule.end}` : 'OFF',
+      'Next Wake': state.engine.scheduledWakeAt ? formatEligibleAt(state.engine.scheduledWakeAt) : 'N/A'
     };
 
+    // Values include account names and token provenance from the page
     state.uiElements.debugContent.innerHTML = Object.entries(debugInfo)
-      .map(([k, v]) => `<div><span>${k}:</span> <strong>${v}</strong></div>`)
+      .map(([k, v]) => `<div><span>${k}:</span> <strong>${escapeHtml(v)}</strong></div>`)
       .join('');
   }
 
+  /**
+   * Show when a waiting item becomes eligible for submission
+   */
+  function renderEligibility(item) {
+    if (item.status !== 'queued') return '';
+
+    const now = Date.now();
+    if (item.nextAttemptAt > now) {
+      return `<span class="sqp-item-schedule" title="Attempt ${item.retryCount + 1} at ${escapeHtml(new Date(item.nextAttemptAt).toLocaleString())}">🔁 retry in ${formatDuration(item.nextAttemptAt - now)}</span>`;
+    }
+
+    const eligibleAt = getItemEligibleAt(item, state.schedule, now);
+    if (eligibleAt === now) return '';
+    if (eligibleAt === null) {
+      return '<span class="sqp-item-schedule" title="Schedule has no days selected">⏰ never</span>';
+    }
+    return `<span class="sqp-item-schedule" title="Eligible ${escapeHtml(new Date(eligibleAt).toLocaleString())}">⏰ in ${formatDuration(eligibleAt - now)}</span>`;
+  }
+
+  function isRetryable(item) {
+    return item.status === 'error' || item.status === 'failed' || item.status === 'unknown' ||
+      (item.status === 'queued' && item.nextAttemptAt > Date.now());
+  }
+
   /**
    * Render the queue list
    */
   function renderQueueList() {
     const { queueList } = state.uiElements;
+    const items = state.queue.filter(item => item.queueId === state.selectedQueueId);
 
-    if (state.queue.length === 0) {
+    if (items.length === 0) {
       queueList.innerHTML = '<div class="sqp-empty">Queue is empty</div>';
       return;
     }
 
-    queueList.innerHTML = state.queue.map((item, index) => `
-      <div class="sqp-queue-item sqp-status-${item.status}" data-id="${item.id}">
+    const hasSourceItems = items.some(item => item.templateId || item.sequence);
+    const toolbar = hasSourceItems ? `
+      <label class="sqp-list-toolbar">
+        <input type="checkbox" id="sqp-group-toggle" ${state.groupBySource ? 'checked' : ''}> Group by template / sequence
+      </label>
+    ` : '';
+
+    const renderItem = (item, index) => `
+      <div class="sqp-queue-item sqp-status-${escapeHtml(item.status)}" data-id="${escapeHtml(item.id)}"
+        ${item.status === 'queued' ? 'draggable="true"' : ''}>
         <div class="sqp-item-main">
           <div class="sqp-item-prompt" title="${escapeHtml(item.prompt)}">
             ${escapeHtml(truncatePrompt(item.prompt))}
           </div>
           <div class="sqp-item-meta">
             <span class="sqp-item-status">${getStatusLabel(item.status)}</span>
+            ${renderPriority(item)}
+            ${renderVariations(item)}
+            ${renderSequence(item)}
             ${item.errorMessage ? `<span class="sqp-item-error" title="${escapeHtml(item.errorMessage)}">⚠️</span>` : ''}
+            ${item.download?.status === 'failed' ? `<span class="sqp-item-error" title="${escapeHtml(item.download.error)}">⬇️ not saved</span>` : ''}
             <span class="sqp-item-time">${formatTimeAgo(item.createdAt)}</span>
+            ${renderEligibility(item)}
+            ${item.templateName && !state.groupBySource ? `<span class="sqp-item-tag" title="From template">🧩 ${escapeHtml(item.templateName)}</span>` : ''}
           </div>
+          ${item.status === 'rejected' ? `
+            <div class="sqp-item-rejection" title="Edit the prompt to re-queue it">
+              ${escapeHtml(getRejectionLabel(item))}: ${escapeHtml(item.errorMessage || '')}
+            </div>
+          ` : ''}
         </div>
         <div class="sqp-item-actions">
+          ${isRetryable(item) ? `<button class="sqp-btn sqp-btn-icon sqp-retry" title="Retry now">🔁</button>` : ''}
+          ${item.status === 'queued' && !item.submitNext ? `<button class="sqp-btn sqp-btn-icon sqp-submit-next" title="Submit next">⏭️</button>` : ''}
           ${index > 0 ? `<button class="sqp-btn sqp-btn-icon sqp-move-up" title="Move up">⬆️</button>` : ''}
-          ${index < state.queue.length - 1 ? `<button class="sqp-btn sqp-btn-icon sqp-move-down" title="Move down">⬇️</button>` : ''}
+          ${index < items.length - 1 ? `<button class="sqp-btn sqp-btn-icon sqp-move-down" title="Move down">⬇️</button>` : ''}
+          ${EDITABLE_STATUSES.includes(item.status) ? `<button class="sqp-btn sqp-btn-icon sqp-edit" title="Edit">✏️</button>` : ''}
           <button class="sqp-btn sqp-btn-icon sqp-remove" title="Remove">❌</button>
         </div>
       </div>
-    `).join('');
+    `;
+
+    if (hasSourceItems && state.groupBySource) {
+      // Groups appear in the order of their first item; indices stay global
+      const groups = new Map();
+      items.forEach((item, index) => {
+        const key = item.sequence ? `sequence:${item.sequence.id}` : item.templateId || '';
+        if (!groups.has(key)) {
+          groups.set(key, item.sequence
+            ? { icon: '🎞️', name: item.sequence.name, entries: [] }
+            : { icon: '🧩', name: item.templateName || 'No template', entries: [] });
+        }
+        groups.get(key).entries.push(renderItem(item, index));
+      });
+
+      queueList.innerHTML = toolbar + [...groups.values()].map(group => `
+        <div class="sqp-group-header">${group.icon} ${escapeHtml(group.name)} <span>(${group.entries.length})</span></div>
+        ${group.entries.join('')}
+      `).join('');
+    } else {
+      queueList.innerHTML = toolbar + items.map(renderItem).join('');
+    }
+
+    document.getElementById('sqp-group-toggle')?.addEventListener('change', (e) => {
+      state.groupBySource = e.target.checked;
+      renderQueueList();
+    });
 
     // Bind item actions
     queueList.querySelectorAll('.sqp-queue-item').forEach(itemEl => {
       const id = itemEl.dataset.id;
       
+      itemEl.querySelector('.sqp-retry')?.addEventListener('click', () => retryItem(id));
+      itemEl.querySelector('.sqp-submit-next')?.addEventListener('click', () => submitNext(id));
       itemEl.querySelector('.sqp-move-up')?.addEventListener('click', () => moveUp(id));
+      itemEl.querySelector('.sqp-edit')?.addEventListener('click', () => openEditDialog(id));
       itemEl.querySelector('.sqp-move-down')?.addEventListener('click', () => moveDown(id));
       itemEl.querySelector('.sqp-remove')?.addEventListener('click', () => removeFromQueue(id));
     });
+
+    bindDragAndDrop(queueList);
+  }
+
+  /**
+   * Render the named queue tab strip (waiting count, paused marker, settings)
+   */
+  function renderQueueTabs() {
+    const { queueTabs } = state.uiElements;
+
+    queueTabs.innerHTML = state.queues.map(config => {
+      const waiting = state.queue.filter(i => i.queueId === config.id && i.status === 'queued').length;
+      const active = state.queue
+        .filter(i => i.queueId === config.id)
+        .reduce((sum, i) => sum + countInFlight(i), 0);
+      const selected = config.id === state.selectedQueueId;
+      return `
+        <button class="sqp-queue-tab ${selected ? 'sqp-queue-tab-selected' : ''} ${config.isEnabled ? '' : 'sqp-queue-tab-paused'}"
+          data-queue-id="${escapeHtml(config.id)}"
+          title="${escapeHtml(config.name)}: ${waiting} waiting, ${active}/${config.slots ?? getConcurrencyLimit()} slots in use${config.isEnabled ? '' : ' (paused)'}">
+          ${config.isEnabled ? '' : '⏸️ '}${escapeHtml(config.name)} <span>${waiting}</span>
+        </button>
+      `;
+    }).join('') + `
+      <button class="sqp-btn sqp-btn-icon" data-action="settings" title="Queue settings">⚙️</button>
+      <button class="sqp-btn sqp-btn-icon" data-action="new-queue" title="New queue">➕</button>
+    `;
+
+    queueTabs.querySelectorAll('[data-queue-id]').forEach(tab => {
+      tab.addEventListener('click', () => selectQueue(tab.dataset.queueId));
+    });
+    queueTabs.querySelector('[data-action="settings"]').addEventListener('click', openQueueSettingsDialog);
+    queueTabs.querySelector('[data-action="new-queue"]').addEventListener('click', createQueue);
+  }
+
+  /**
+   * Drag waiting items to reorder them within their priority band
+   */
+  function bindDragAndDrop(queueList) {
+    const findItem = (el) => state.queue.find(i => i.id === el?.dataset.id);
+
+    queueList.querySelectorAll('.sqp-queue-item[draggable="true"]').forEach(itemEl => {
+      itemEl.addEventListener('dragstart', (e) => {
+        state.draggedItemId = itemEl.dataset.id;
+        e.dataTransfer.effectAllowed = 'move';
+        itemEl.classList.add('sqp-dragging');
+      });
+
+      itemEl.addEventListener('dragend', () => {
+        state.draggedItemId = null;
+        queueList.querySelectorAll('.sqp-drop-target').forEach(el => el.classList.remove('sqp-drop-target'));
+        itemEl.classList.remove('sqp-dragging');
+      });
+    });
+
+    queueList.querySelectorAll('.sqp-queue-item').forEach(itemEl => {
+      const canDrop = () => {
+        const dragged = state.queue.find(i => i.id === state.draggedItemId);
+        const target = findItem(itemEl);
+        return dragged && target && dragged !== target && dragged.priority === target.priority;
+      };
+
+      itemEl.addEventListener('dragover', (e) => {
+        if (!canDrop()) return;
+        e.preventDefault();
+        itemEl.classList.add('sqp-drop-target');
+      });
+
+      itemEl.addEventListener('dragleave', () => {
+        itemEl.classList.remove('sqp-drop-target');
+      });
+
+      itemEl.addEventListener('drop', (e) => {
+        if (!canDrop()) return;
+        e.preventDefault();
+        reorderItem(state.draggedItemId, itemEl.dataset.id);
+      });
+    });
+  }
+
+  /**
+   * Priority chip for the queue list (normal items get none)
+   */
+  function renderPriority(item) {
+    if (item.submitNext && item.status === 'queued') {
+      return '<span class="sqp-item-priority sqp-priority-next" title="Submitted before everything else">⏭️ next</span>';
+    }
+    const priority = item.priority || DEFAULT_PRIORITY;
+    if (priority === DEFAULT_PRIORITY) return '';
+    return `<span class="sqp-item-priority sqp-priority-${priority}" title="Priority">${getPriorityLabel(priority)}</span>`;
+  }
+
+  /**
+   * Child progress of an item with several takes: sent so far, then done
+   */
+  function renderVariations(item) {
+    const { total, submitted, finished } = getVariationProgress(item);
+    if (total === 1) return '';
+
+    const label = submitted < total ? `${submitted}/${total} submitted` : `${finished}/${total} done`;
+    const details = (item.takes || []).map((take, i) => `Take ${i + 1}: ${getStatusLabel(take.status)}`).join('\n');
+    return `<span class="sqp-item-takes" title="${escapeHtml(details || 'No take sent yet')}">🎬 ${label}</span>`;
+  }
+
+  /**
+   * Shot chip of a sequence item and, while it waits, what it waits for
+   */
+  function renderSequence(item) {
+    if (!item.sequence) return '';
+    const { name, index, total, linkField, linkedGenerationId } = item.sequence;
+
+    const link = linkField
+      ? `\n${OPTION_RULES[linkField].label}: ${linkedGenerationId || `shot ${index}'s video, once finished`}`
+      : '';
+    const chip = `<span class="sqp-item-tag" title="${escapeHtml(`${name}, shot ${index + 1} of ${total}${link}`)}">🎞️ ${state.groupBySource ? '' : `${escapeHtml(name)} · `}${index + 1}/${total}</span>`;
+
+    const block = item.status === 'queued' ? getSequenceBlock(item, state.queue) : null;
+    if (!block) return chip;
+    const [label, title] = {
+      failed: ['previous shot failed', 'Stopped: retry or remove the failed shot first'],
+      order: ['earlier shots', 'Sent after the earlier shots of the sequence'],
+      previous: [`shot ${index}`, `Sent once shot ${index} has finished`],
+      link: [`shot ${index}'s ID`, `Sent once shot ${index}'s video shows up in the drafts`]
+    }[block];
+    return `${chip}<span class="sqp-item-schedule" title="${escapeHtml(title)}">⏳ ${escapeHtml(label)}</span>`;
+  }
+
+  /**
+   * Takes count from a form field; problems are appended to `errors`
+   */
+  function readVariations(input, errors) {
+    const value = Number(input.value || 1);
+    if (!Number.isInteger(value) || value < 1 || value > MAX_VARIATIONS) {
+      errors.push(`Takes must be a whole number between 1 and ${MAX_VARIATIONS}`);
+      return 1;
+    }
+    return value;
+  }
+
+  function renderPriorityOptions(selected) {
+    return PRIORITIES
+      .map(p => `<option value="${p}" ${p === selected ? 'selected' : ''}>${getPriorityLabel(p)}</option>`)
+      .join('');
+  }
+
+  // ============================================================================
+  // REMIX BUTTONS
+  // ============================================================================
+
+  // Links to a single generation (feed, library, drafts). The ID in the URL
+  // is what the create body's remix_target_id expects.
+  const GENERATION_LINK_SELECTOR = 'a[href*="/g/"], a[href*="/p/"], a[href*="/d/"]';
+  const GENERATION_ID_PATTERN = /\/(?:g|p|d)\/((?:gen|s)_[A-Za-z0-9]+)/;
+
+  /**
+   * Put a "Queue remix" button on every generation card, including cards
+   * rendered later (infinite scroll, client-side navigation)
+   */
+  function watchGenerationCards() {
+    let scanPending = false;
+    const scan = () => {
+      scanPending = false;
+      document.querySelectorAll(GENERATION_LINK_SELECTOR).forEach(addRemixButton);
+    };
+
+    scan();
+    new MutationObserver(() => {
+      if (scanPending) return;
+      scanPending = true;
+      setTimeout(scan, CONFIG.REMIX_SCAN_DELAY_MS);
+    }).observe(document.body, { childList: true, subtree: true });
+  }
+
+  function getGenerationId(link) {
+    try {
+      return GENERATION_ID_PATTERN.exec(new URL(link.href, location.href).pathname)?.[1] || null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Overlay the button on the card holding `link`. The ID is read on click,
+   * since the page may reuse the card for another generation.
+   */
+  function addRemixButton(link) {
+    if (link.closest('#sora-queue-panel') || !getGenerationId(link)) return;
+
+    const host = link.parentElement;
+    if (!host || host.querySelector(':scope > .sqp-remix-btn')) return;
+
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'sqp-remix-btn';
+    btn.textContent = '🔁 Queue remix';
+    btn.title = 'Queue prompts that remix this generation';
+    btn.addEventListener('click', (e) => {
+      // The card is a link; don't navigate
+      e.preventDefault();
+      e.stopPropagation();
+      openRemixForm(getGenerationId(link));
+    });
+
+    host.classList.add('sqp-remix-host');
+    host.appendChild(btn);
+  }
+
+  /**
+   * Open the add form with remix_target_id filled in. It stays filled, so a
+   * batch of remix prompts is added like normal prompts until it is cleared.
+   */
+  function openRemixForm(generationId) {
+    if (!generationId) return;
+    if (!CONFIG.SHOW_PAGE_PANEL) {
+      showNotification('Turn on the on-page panel in Settings to queue remixes', 'info');
+      return;
+    }
+
+    const { panel, advancedOptions, promptInput } = state.uiElements;
+    panel.classList.remove('sqp-minimized');
+    advancedOptions.open = true;
+    advancedOptions.querySelector('[data-option="remix_target_id"]').value = generationId;
+    promptInput.focus();
+    showNotification(`Remixing ${generationId}: prompts you add use it until you clear Remix target ID`, 'info');
   }
 
   // ============================================================================
@@ -1103,10 +2526,13 @@
     return prompt.substring(0, CONFIG.PROMPT_PREVIEW_LENGTH) + '...';
   }
 
+  /**
+   * Escape for element content and double-quoted attributes
+   */
   function escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
-    return div.innerHTML;
+    return div.innerHTML.replace(/"/g, '&quot;');
   }
 
   function getStatusLabel(status) {
@@ -1114,11 +2540,69 @@
       queued: '⏳ Queued',
       sending: '🚀 Sending...',
       error: '❌ Error',
-      submitted: '✅ Submitted'
+      submitted: '📨 Submitted',
+      processing: '⚙️ Processing',
+      succeeded: '✅ Done',
+      failed: '❌ Failed',
+      unknown: '❔ Unknown',
+      rejected: '🚫 Rejected'
     };
     return labels[status] || status;
   }
 
+  function formatTokenSource(source) {
+    if (!source) return 'unknown';
+    return source.method ? `${source.method} ${source.endpoint}` : source.endpoint;
+  }
+
+  function getTokenUsabilityLabel(source) {
+    if (!source) return 'N/A';
+    if (source.usableForCreate === true) return source.verifiedAt ? 'YES (verified by a submit)' : 'YES';
+    if (source.usableForCreate === false) return `NO (flow ${source.flow})`;
+    return 'UNKNOWN (until a submit succeeds)';
+  }
+
+  /**
+   * The engine holds submissions while the signed-in account is not the
+   * queue's owner (until its next account check switches the queue)
+   */
+  function isAccountMismatch() {
+    return !!state.queueAccountId && !!state.engine.accountId && state.engine.accountId !== state.queueAccountId;
+  }
+
+  function isTokenStale() {
+    return state.hasValidToken && !!state.lastTokenCapture && CONFIG.TOKEN_MAX_AGE_MS > 0 &&
+      Date.now() - state.lastTokenCapture > CONFIG.TOKEN_MAX_AGE_MS;
+  }
+
+  function getConcurrencyLimit() {
+    return state.engine.maxConcurrentTasks || DEFAULT_CONCURRENCY_LIMIT;
+  }
+
+  function getConcurrencySourceLabel(source) {
+    const labels = {
+      setting: 'Set on the options page',
+      429: 'Learned from a concurrent-limit response',
+      pending: 'Seen in the pending generations list',
+      account: 'From your account info',
+      default: `Not detected yet (assuming ${DEFAULT_CONCURRENCY_LIMIT})`
+    };
+    return labels[source] || 'Unknown';
+  }
+
+  function getRejectionLabel(item) {
+    return item.errorCode === 'CONTENT_POLICY' ? 'Content policy' : 'Invalid request';
+  }
+
+  function getPriorityLabel(priority) {
+    const labels = {
+      urgent: '🔺 Urgent',
+      normal: 'Normal',
+      low: '🔻 Low'
+    };
+    return labels[priority] || priority;
+  }
+
   function formatTimeAgo(timestamp) {
     const diff = Date.now() - timestamp;
     const minutes = Math.floor(diff / 60000);
@@ -1130,6 +2614,27 @@
     return new Date(timestamp).toLocaleDateString();
   }
 
+  function formatEligibleAt(timestamp) {
+    const date = new Date(timestamp);
+    const sameDay = date.toDateString() === new Date().toDateString();
+    const time = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    return sameDay ? `at ${time}` : `${date.toLocaleDateString([], { weekday: 'short' })} ${time}`;
+  }
+
+  // <input type="datetime-local"> uses local time without a zone suffix
+  function toDateTimeLocal(timestamp) {
+    if (!timestamp) return '';
+    const date = new Date(timestamp);
+    date.setMinutes(date.getMinutes() - date.getTimezoneOffset());
+    return date.toISOString().slice(0, 16);
+  }
+
+  function fromDateTimeLocal(value) {
+    if (!value) return null;
+    const time = new Date(value).getTime();
+    return Number.isFinite(time) ? time : null;
+  }
+
   function formatDuration(ms) {
     const hours = Math.floor(ms / 3600000);
     const minutes = Math.floor((ms % 3600000) / 60000);
@@ -1137,6 +2642,9 @@
     if (hours > 0) {
       return `${hours}h ${minutes}m`;
     }
+    if (minutes === 0) {
+      return `${Math.ceil(ms / 1000)}s`;
+    }
     return `${minutes}m`;
   }
 
@@ -1147,48 +2655,24 @@
   async function init() {
     debugLog('Initializing...');
 
+    await loadSettings();
+
     // Load persisted queue
     await loadQueue();
 
     // Check token status
     await checkTokenStatus();
 
-    // Register as controller
-    await registerAsController();
-
     // Create UI
     createUI();
 
     // Update UI with initial state
     updateUI();
 
-    // Start polling if we're controller
-    if (state.isController) {
-      startPolling();
-    }
-
-    // Start heartbeat
-    state.heartbeatIntervalId = setInterval(() => {
-      sendHeartbeat();
-    }, CONFIG.HEARTBEAT_INTERVAL_MS);
-
-    // Periodic daily limit check
-    state.dailyLimitIntervalId = setInterval(() => {
-      if (state.dailyLimitResetTime && Date.now() >= state.dailyLimitResetTime) {
-        state.dailyLimitResetTime = null;
-        if (state.pauseReason === 'daily_limit') {
-          state.isPaused = false;
-          state.pauseReason = null;
-          saveQueue();
-          showNotification('Daily limit reset! Resuming...', 'success');
-          checkAndSubmit();
-        }
-        updateUI();
-      }
-    }, 30000);
+    // Keep countdowns and relative times current between state changes
+    state.clockIntervalId = setInterval(updateUI, CONFIG.CLOCK_INTERVAL_MS);
 
     debugLog('Initialized with', state.queue.length, 'queued items');
-    debugLog('Controller:', state.isController);
     debugLog('Token:', state.hasValidToken);
   }
 
@@ -0,0 +1,324 @@
+/**
+ * Sora Prompt Queue - History Page
+ *
+ * Browses the generation history log (search, status/date filters) and
+ * re-queues past prompts through the background queue. Auto-downloaded
+ * videos show where they were saved. Prompts Sora
+ * rejected keep their entry (with the server's reason) and can be
+ * rewritten and re-queued from here.
+ */
+
+(function() {
+  'use strict';
+
+  const HISTORY_STORAGE_KEY = 'soraHistory';
+  const MAX_RENDERED = 500;
+
+  const STATUS_LABELS = {
+    submitted: '📨 Submitted',
+    processing: '⚙️ Processing',
+    succeeded: '✅ Done',
+    failed: '❌ Failed',
+    unknown: '❔ Unknown',
+    error: '❌ Error',
+    rejected: '🚫 Rejected',
+    retrying: '🔁 Retrying'
+  };
+
+  const REJECTION_LABELS = {
+    CONTENT_POLICY: 'Content policy',
+    VALIDATION_ERROR: 'Invalid request'
+  };
+
+  // DOM Elements
+  const elements = {
+    searchInput: document.getElementById('search-input'),
+    statusFilter: document.getElementById('status-filter'),
+    dateFrom: document.getElementById('date-from'),
+    dateTo: document.getElementById('date-to'),
+    summary: document.getElementById('summary'),
+    list: document.getElementById('history-list'),
+    clearBtn: document.getElementById('clear-history-btn'),
+    toast: document.getElementById('toast')
+  };
+
+  let entries = [];
+  let rewrite = null; // { entryId, draft } while a rejected prompt is being rewritten
+
+  /**
+   * Load history entries from storage
+   */
+  async function loadHistory() {
+    try {
+      const result = await chrome.storage.local.get([HISTORY_STORAGE_KEY]);
+      entries = result[HISTORY_STORAGE_KEY] || [];
+      render();
+    } catch (error) {
+      console.error('Error loading history:', error);
+    }
+  }
+
+  /**
+   * Apply search, status and date filters
+   */
+  function getFilteredEntries() {
+    const query = elements.searchInput.value.trim().toLowerCase();
+    const status = elements.statusFilter.value;
+    const from = elements.dateFrom.value ? new Date(`${elements.dateFrom.value}T00:00:00`).getTime() : null;
+    const to = elements.dateTo.value ? new Date(`${elements.dateTo.value}T23:59:59.999`).getTime() : null;
+
+    return entries.filter(entry => {
+      if (status && entry.status !== status) return false;
+
+      const time = entry.submittedAt || entry.queuedAt || 0;
+      if (from !== null && time < from) return false;
+      if (to !== null && time > to) return false;
+
+      if (query) {
+        const haystack = [entry.prompt, entry.taskId, entry.errorMessage, entry.errorCode]
+          .filter(Boolean)
+          .join(' ')
+          .toLowerCase();
+        if (!haystack.includes(query)) return false;
+      }
+
+      return true;
+    });
+  }
+
+  /**
+   * Render the filtered history list
+   */
+  function render() {
+    const filtered = getFilteredEntries();
+    const shown = filtered.slice(0, MAX_RENDERED);
+
+    elements.summary.textContent = filtered.length > shown.length
+      ? `Showing ${shown.length} of ${filtered.length} matching entries (${entries.length} total)`
+      : `${filtered.length} of ${entries.length} entries`;
+
+    if (shown.length === 0) {
+      elements.list.innerHTML = `<div class="empty">${entries.length ? 'No entries match the filters' : 'No history yet'}</div>`;
+      return;
+    }
+
+    elements.list.innerHTML = shown.map(entry => `
+      <div class="entry status-${escapeHtml(entry.status)}" data-id="${escapeHtml(entry.id)}">
+        <div class="entry-top">
+          ${rewrite?.entryId === entry.id ? `
+            <textarea class="entry-rewrite" rows="3">${escapeHtml(rewrite.draft)}</textarea>
+          ` : `<div class="entry-prompt">${escapeHtml(entry.prompt)}</div>`}
+          <div class="entry-actions">
+            ${rewrite?.entryId === entry.id ? `
+              <button class="btn btn-primary btn-sm" data-action="queue-rewrite">Queue</button>
+              <button class="btn btn-sm" data-action="cancel-rewrite">Cancel</button>
+            ` : `
+              ${entry.status === 'rejected' ? '<button class="btn btn-primary btn-sm" data-action="rewrite">Rewrite</button>' : ''}
+              <button class="btn ${entry.status === 'rejected' ? '' : 'btn-primary'} btn-sm" data-action="requeue">Re-queue</button>
+            `}
+            <button class="btn btn-sm" data-action="delete" title="Delete entry">❌</button>
+          </div>
+        </div>
+        <div class="entry-meta">
+          <span><strong>${STATUS_LABELS[entry.status] || escapeHtml(entry.status)}</strong></span>
+          <span>Sent: ${formatDate(entry.submittedAt)}</span>
+          ${entry.completedAt ? `<span>Finished: ${formatDate(entry.completedAt)}</span>` : ''}
+          <span>Attempts: ${entry.attempts || 0}</span>
+          ${entry.rewrites ? `<span>Rewritten: ${entry.rewrites}×</span>` : ''}
+          ${entry.variations > 1 ? `<span>Takes: ${entry.takes?.length || 0}/${entry.variations}</span>` : ''}
+          ${entry.sequence ? `<span>Shot ${entry.sequence.index + 1}/${entry.sequence.total} of ${escapeHtml(entry.sequence.name)}</span>` : ''}
+          ${entry.taskId ? `<span>Task: ${escapeHtml(entry.taskId)}</span>` : ''}
+          <span>${escapeHtml(formatOptions(entry.options))}</span>
+        </div>
+        ${entry.download ? `<div class="entry-download">${formatDownload(entry.download)}</div>` : ''}
+        ${entry.errorMessage ? `<div class="entry-error">${escapeHtml(entry.errorCode ? `${REJECTION_LABELS[entry.errorCode] || entry.errorCode}: ` : '')}${escapeHtml(entry.errorMessage)}</div>` : ''}
+        ${entry.response ? `
+          <details>
+            <summary>Server response${entry.httpStatus ? ` (HTTP ${entry.httpStatus})` : ''}</summary>
+            <pre>${escapeHtml(JSON.stringify(entry.response, null, 2))}</pre>
+          </details>
+        ` : ''}
+      </div>
+    `).join('');
+  }
+
+  /**
+   * Send a history entry back into the queue
+   */
+  async function requeueEntry(entry) {
+    try {
+      const result = await chrome.runtime.sendMessage({
+        type: 'QUEUE_PROMPT',
+        payload: { prompt: entry.prompt, options: entry.options || {} }
+      });
+
+      if (result?.success) {
+        showToast('Prompt added to queue', 'success');
+      } else {
+        showToast(result?.error || 'Could not re-queue prompt', 'error');
+      }
+    } catch (error) {
+      showToast(error.message, 'error');
+    }
+  }
+
+  /**
+   * Queue a rewritten version of a rejected prompt (same options) and count
+   * the rewrite on the original entry, which stays as the record
+   */
+  async function queueRewrite(entry, prompt) {
+    if (!prompt.trim()) {
+      showToast('Prompt cannot be empty', 'error');
+      return;
+    }
+
+    try {
+      const result = await chrome.runtime.sendMessage({
+        type: 'QUEUE_PROMPT',
+        payload: { prompt: prompt.trim(), options: entry.options || {} }
+      });
+
+      if (!result?.success) {
+        showToast(result?.error || 'Could not queue rewrite', 'error');
+        return;
+      }
+
+      rewrite = null;
+      const stored = await chrome.storage.local.get([HISTORY_STORAGE_KEY]);
+      const list = stored[HISTORY_STORAGE_KEY] || [];
+      const original = list.find(e => e.id === entry.id);
+      if (original) {
+        original.rewrites = (original.rewrites || 0) + 1;
+        await chrome.storage.local.set({ [HISTORY_STORAGE_KEY]: list });
+      } else {
+        render();
+      }
+      showToast('Rewritten prompt added to queue', 'success');
+    } catch (error) {
+      showToast(error.message, 'error');
+    }
+  }
+
+  /**
+   * Delete a single history entry
+   */
+  async function deleteEntry(entryId) {
+    try {
+      const result = await chrome.storage.local.get([HISTORY_STORAGE_KEY]);
+      const stored = (result[HISTORY_STORAGE_KEY] || []).filter(e => e.id !== entryId);
+      await chrome.storage.local.set({ [HISTORY_STORAGE_KEY]: stored });
+    } catch (error) {
+      console.error('Error deleting history entry:', error);
+    }
+  }
+
+  /**
+   * Clear the whole history log
+   */
+  async function clearHistory() {
+    if (!confirm('Delete the entire generation history?')) return;
+
+    try {
+      await chrome.storage.local.remove([HISTORY_STORAGE_KEY]);
+    } catch (error) {
+      console.error('Error clearing history:', error);
+    }
+  }
+
+  function showToast(message, type) {
+    elements.toast.textContent = message;
+    elements.toast.className = `toast ${type}`;
+    elements.toast.style.display = 'block';
+    clearTimeout(showToast.timeoutId);
+    showToast.timeoutId = setTimeout(() => {
+      elements.toast.style.display = 'none';
+    }, 3000);
+  }
+
+  // ============================================================================
+  // UTILITY FUNCTIONS
+  // ============================================================================
+
+  /**
+   * Escape for element content and double-quoted attributes
+   */
+  function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text == null ? '' : String(text);
+    return div.innerHTML.replace(/"/g, '&quot;');
+  }
+
+  function formatDate(timestamp) {
+    return timestamp ? new Date(timestamp).toLocaleString() : '--';
+  }
+
+  /**
+   * Saved file paths of an auto-downloaded entry, or why there are none
+   */
+  function formatDownload(download) {
+    if (download.status === 'pending') return '⬇️ Waiting for the video...';
+    if (download.status === 'failed') return `⬇️ Download failed: ${escapeHtml(download.error)}`;
+    return download.files.map(f => `⬇️ ${escapeHtml(f.path)}`).join('<br>');
+  }
+
+  function formatOptions(options) {
+    if (!options) return '';
+    return [options.orientation, options.size, options.n_frames && `${options.n_frames}f`, options.model]
+      .filter(Boolean)
+      .join(' · ');
+  }
+
+  /**
+   * Initialize
+   */
+  function init() {
+    loadHistory();
+
+    elements.searchInput.addEventListener('input', render);
+    elements.statusFilter.addEventListener('change', render);
+    elements.dateFrom.addEventListener('change', render);
+    elements.dateTo.addEventListener('change', render);
+    elements.clearBtn.addEventListener('click', clearHistory);
+
+    elements.list.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-action]');
+      if (!button) return;
+
+      const entryId = button.closest('.entry')?.dataset.id;
+      const entry = entries.find(en => en.id === entryId);
+      if (!entry) return;
+
+      if (button.dataset.action === 'requeue') {
+        requeueEntry(entry);
+      } else if (button.dataset.action === 'delete') {
+        deleteEntry(entry.id);
+      } else if (button.dataset.action === 'rewrite') {
+        rewrite = { entryId: entry.id, draft: entry.prompt };
+        render();
+        elements.list.querySelector('.entry-rewrite')?.focus();
+      } else if (button.dataset.action === 'cancel-rewrite') {
+        rewrite = null;
+        render();
+      } else if (button.dataset.action === 'queue-rewrite') {
+        queueRewrite(entry, rewrite.draft);
+      }
+    });
+
+    // Keep the draft across re-renders triggered by history updates
+    elements.list.addEventListener('input', (e) => {
+      if (rewrite && e.target.classList.contains('entry-rewrite')) {
+        rewrite.draft = e.target.value;
+      }
+    });
+
+    // Listen for storage changes
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes[HISTORY_STORAGE_KEY]) {
+        entries = changes[HISTORY_STORAGE_KEY].newValue || [];
+        render();
+      }
+    });
+  }
+
+  init();
+})();
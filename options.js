@@ -0,0 +1,155 @@
+/**
+ * Sora Prompt Queue - Options Page
+ *
+ * Edits the automation settings in chrome.storage.sync. The background
+ * engine and open panels pick up saved changes from the storage event.
+ */
+
+(function() {
+  'use strict';
+
+  const {
+    SETTINGS_STORAGE_KEY,
+    SETTING_RULES,
+    DEFAULT_SETTINGS,
+    validateSettings,
+    resolveSettings
+  } = globalThis.SoraQueueShared;
+
+  // DOM Elements
+  const elements = {
+    form: document.getElementById('settings-form'),
+    errors: document.getElementById('errors'),
+    saveBtn: document.getElementById('save-btn'),
+    resetBtn: document.getElementById('reset-btn'),
+    toast: document.getElementById('toast')
+  };
+
+  /**
+   * Render one row per setting, filled with `settings`
+   */
+  function render(settings) {
+    elements.form.innerHTML = Object.entries(SETTING_RULES).map(([key, rule]) => `
+      <label class="setting">
+        <div>
+          <div class="setting-label">${escapeHtml(rule.label)}</div>
+          <div class="setting-hint">${escapeHtml(rule.hint)} (default ${formatValue(DEFAULT_SETTINGS[key])})</div>
+        </div>
+        ${renderInput(key, rule, settings[key])}
+      </label>
+    `).join('');
+  }
+
+  function renderInput(key, rule, value) {
+    if (rule.type === 'boolean') {
+      return `<input type="checkbox" data-key="${key}" ${value ? 'checked' : ''}>`;
+    }
+    if (rule.type === 'string') {
+      return `<input type="text" data-key="${key}" maxlength="${rule.maxLength}" value="${escapeHtml(value).replace(/"/g, '&quot;')}">`;
+    }
+    return `<input type="number" data-key="${key}" min="${rule.min}" max="${rule.max}" step="1" value="${value}">`;
+  }
+
+  /**
+   * Read the form back into a settings object (numbers stay unvalidated)
+   */
+  function readForm() {
+    const settings = {};
+    elements.form.querySelectorAll('[data-key]').forEach(input => {
+      const rule = SETTING_RULES[input.dataset.key];
+      if (rule.type === 'boolean') {
+        settings[input.dataset.key] = input.checked;
+      } else if (rule.type === 'string') {
+        settings[input.dataset.key] = input.value.trim();
+      } else {
+        settings[input.dataset.key] = input.value.trim() === '' ? NaN : Number(input.value);
+      }
+    });
+    return settings;
+  }
+
+  async function loadSettings() {
+    try {
+      const result = await chrome.storage.sync.get([SETTINGS_STORAGE_KEY]);
+      render(resolveSettings(result[SETTINGS_STORAGE_KEY]));
+    } catch (error) {
+      console.error('Error loading settings:', error);
+      render(DEFAULT_SETTINGS);
+    }
+  }
+
+  async function saveSettings() {
+    const raw = readForm();
+    const { settings, errors } = validateSettings(raw);
+
+    elements.form.querySelectorAll('[data-key]').forEach(input => {
+      input.classList.toggle('invalid', !(input.dataset.key in settings));
+    });
+    elements.errors.innerHTML = errors.map(escapeHtml).join('<br>');
+    if (errors.length > 0) return;
+
+    try {
+      await chrome.storage.sync.set({ [SETTINGS_STORAGE_KEY]: settings });
+      showToast('Settings saved', 'success');
+    } catch (error) {
+      showToast(error.message, 'error');
+    }
+  }
+
+  async function resetSettings() {
+    if (!confirm('Restore every setting to its default?')) return;
+
+    try {
+      await chrome.storage.sync.remove([SETTINGS_STORAGE_KEY]);
+      elements.errors.innerHTML = '';
+      render(DEFAULT_SETTINGS);
+      showToast('Defaults restored', 'success');
+    } catch (error) {
+      showToast(error.message, 'error');
+    }
+  }
+
+  function showToast(message, type) {
+    elements.toast.textContent = message;
+    elements.toast.className = `toast ${type}`;
+    elements.toast.style.display = 'block';
+    clearTimeout(showToast.timeoutId);
+    showToast.timeoutId = setTimeout(() => {
+      elements.toast.style.display = 'none';
+    }, 3000);
+  }
+
+  // ============================================================================
+  // UTILITY FUNCTIONS
+  // ============================================================================
+
+  function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text == null ? '' : String(text);
+    return div.innerHTML;
+  }
+
+  function formatValue(value) {
+    return typeof value === 'boolean' ? (value ? 'on' : 'off') : value;
+  }
+
+  /**
+   * Initialize
+   */
+  function init() {
+    loadSettings();
+
+    elements.form.addEventListener('submit', (e) => e.preventDefault());
+    elements.saveBtn.addEventListener('click', saveSettings);
+    elements.resetBtn.addEventListener('click', resetSettings);
+
+    // Saved from another browser (sync) or window
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'sync' && changes[SETTINGS_STORAGE_KEY]) {
+        render(resolveSettings(changes[SETTINGS_STORAGE_KEY].newValue));
+      }
+    });
+  }
+
+  init();
+})();
@@ -1,59 +1,84 @@
 /**
  * Sora Prompt Queue - Popup Script
  * 
- * Handles the extension popup UI and communication with background/content scripts
+ * A queue manager that works from any tab: lists, adds, edits, reorders
+ * and removes prompts through messages to the background engine, which
+ * owns the queue state.
  */
 
 (function() {
   'use strict';
 
   const STORAGE_KEY = 'soraQueue';
+  const ENGINE_STORAGE_KEY = 'soraEngine';
+  const DEFAULT_QUEUE_ID = 'default';
+
+  const { EDITABLE_STATUSES, estimateQueueCost, getVariationProgress } = globalThis.SoraQueueShared;
+
+  const STATUS_LABELS = {
+    queued: '⏳ Queued',
+    sending: '🚀 Sending...',
+    submitted: '📨 Submitted',
+    processing: '⚙️ Processing',
+    succeeded: '✅ Done',
+    failed: '❌ Failed',
+    unknown: '❔ Unknown',
+    error: '❌ Error',
+    rejected: '🚫 Rejected'
+  };
 
   // DOM Elements
   const elements = {
-    notOnSora: document.getElementById('not-on-sora'),
-    mainContent: document.getElementById('main-content'),
+    noSora: document.getElementById('no-sora'),
+    noSoraOpenBtn: document.getElementById('no-sora-open-btn'),
     statusIndicator: document.getElementById('status-indicator'),
     statusValue: document.getElementById('status-value'),
     queuedCount: document.getElementById('queued-count'),
     activeCount: document.getElementById('active-count'),
+    creditsValue: document.getElementById('credits-value'),
+    accountValue: document.getElementById('account-value'),
     tokenStatus: document.getElementById('token-status'),
+    tokenHelp: document.getElementById('token-help'),
+    addInput: document.getElementById('add-input'),
+    addBtn: document.getElementById('add-btn'),
+    itemList: document.getElementById('item-list'),
     toggleBtn: document.getElementById('toggle-btn'),
+    queueTabs: document.getElementById('queue-tabs'),
+    queueToggleBtn: document.getElementById('queue-toggle-btn'),
     openSoraBtn: document.getElementById('open-sora-btn'),
+    sidePanelBtn: document.getElementById('side-panel-btn'),
+    historyBtn: document.getElementById('history-btn'),
+    settingsBtn: document.getElementById('settings-btn'),
     clearQueueBtn: document.getElementById('clear-queue-btn')
   };
 
+  let selectedQueueId = DEFAULT_QUEUE_ID;
+  let queues = [];
+  let items = [];
+  let editing = null; // { itemId, draft } while an item's prompt is being edited
+  let currentWindowId = null;
+
   /**
-   * Check if current tab is Sora
+   * The queue is managed through the background from any tab, but only a
+   * loaded Sora tab can submit; say so when there is none
    */
-  async function checkCurrentTab() {
+  async function checkSoraTab() {
     try {
-      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-      
-      if (tab && tab.url && tab.url.includes('sora.chatgpt.com')) {
-        elements.notOnSora.style.display = 'none';
-        elements.mainContent.style.display = 'block';
-        loadState();
-        loadTokenStatus();
-        return true;
-      } else {
-        elements.notOnSora.style.display = 'block';
-        elements.mainContent.style.display = 'none';
-        return false;
-      }
+      const tabs = await chrome.tabs.query({ url: 'https://sora.chatgpt.com/*' });
+      elements.noSora.style.display = tabs.length > 0 ? 'none' : 'flex';
     } catch (error) {
-      console.error('Error checking tab:', error);
-      return false;
+      console.error('Error checking tabs:', error);
     }
   }
 
   /**
-   * Load queue state from storage
+   * Load queue state from the background engine
    */
   async function loadState() {
     try {
-      const result = await chrome.storage.local.get([STORAGE_KEY]);
-      const data = result[STORAGE_KEY] || {};
+      const data = await chrome.runtime.sendMessage({ type: 'GET_QUEUE_STATE' });
+      if (!data?.success) return;
+      const engine = data.engine || {};
 
       const queue = data.queue || [];
       const isPaused = data.isPaused || false;
@@ -61,17 +86,34 @@
       const isAutomationEnabled = data.isAutomationEnabled !== false;
       const dailyLimitResetTime = data.dailyLimitResetTime || null;
 
+      queues = data.queues || [];
+      if (!queues.some(q => q.id === selectedQueueId)) {
+        selectedQueueId = DEFAULT_QUEUE_ID;
+      }
+      renderQueueTabs(queue);
+
+      items = queue.filter(i => (i.queueId || DEFAULT_QUEUE_ID) === selectedQueueId);
+      renderItemList();
+
       // Update UI
-      const queuedItems = queue.filter(i => i.status === 'queued' || i.status === 'sending');
+      const queuedItems = items.filter(i => i.status === 'queued' || i.status === 'sending');
       elements.queuedCount.textContent = queuedItems.length;
 
+      const selected = queues.find(q => q.id === selectedQueueId);
+      elements.queueToggleBtn.style.display = selected ? 'block' : 'none';
+      elements.queueToggleBtn.textContent = selected?.isEnabled === false ? 'Resume This Queue' : 'Pause This Queue';
+
       // Status
       if (isPaused) {
         elements.statusIndicator.className = 'status-indicator paused';
         elements.statusValue.textContent = `Paused: ${pauseReason || 'manual'}`;
         elements.statusValue.className = 'stat-value warning';
         
-        if (pauseReason === 'daily_limit' && dailyLimitResetTime) {
+        if (pauseReason === 'insufficient_credits') {
+          elements.statusValue.textContent = 'Out of credits';
+        } else if (pauseReason === 'token_stale') {
+          elements.statusValue.textContent = 'Waiting for fresh token';
+        } else if (pauseReason === 'daily_limit' && dailyLimitResetTime) {
           const remaining = dailyLimitResetTime - Date.now();
           if (remaining > 0) {
             const hours = Math.floor(remaining / 3600000);
@@ -90,8 +132,25 @@
         elements.statusValue.className = 'stat-value success';
       }
 
-      // Active count - try to get from debug state
-      elements.activeCount.textContent = '?/3';
+      // Active count and the account's limit, as published by the engine
+      elements.activeCount.textContent = `${engine.activeTaskCount ?? '?'}/${engine.maxConcurrentTasks ?? '?'}`;
+
+      // Last known balance vs. what the whole queue is estimated to cost
+      const credits = engine.credits || {};
+      const needed = estimateQueueCost(queue, credits.costs);
+      elements.creditsValue.textContent = `${credits.remaining ?? '?'} / ${needed}`;
+      elements.creditsValue.className = credits.remaining != null && needed > credits.remaining
+        ? 'stat-value warning'
+        : 'stat-value';
+
+      // Queue owner; submissions are held while another account is signed in
+      const mismatch = data.accountId && engine.accountId && engine.accountId !== data.accountId;
+      const waitingElsewhere = (engine.parkedAccounts || []).reduce((sum, a) => sum + a.waiting, 0);
+      elements.accountValue.textContent = `${mismatch ? '⚠️ ' : ''}${data.accountLabel || data.accountId || '?'}`;
+      elements.accountValue.className = mismatch ? 'stat-value error' : 'stat-value';
+      elements.accountValue.title = waitingElsewhere > 0
+        ? `${waitingElsewhere} prompt(s) waiting for other accounts`
+        : '';
 
       // Update toggle button text
       if (isPaused) {
@@ -107,6 +166,182 @@
     }
   }
 
+  /**
+   * Render one tab per named queue with its waiting count
+   */
+  function renderQueueTabs(queue) {
+    elements.queueTabs.innerHTML = '';
+    elements.queueTabs.style.display = queues.length > 1 ? 'flex' : 'none';
+
+    for (const config of queues) {
+      const waiting = queue.filter(i => i.queueId === config.id && i.status === 'queued').length;
+      const tab = document.createElement('button');
+      tab.className = 'queue-tab';
+      tab.classList.toggle('selected', config.id === selectedQueueId);
+      tab.classList.toggle('paused', !config.isEnabled);
+      tab.textContent = `${config.isEnabled ? '' : '⏸️ '}${config.name} (${waiting})`;
+      tab.title = config.name;
+      tab.addEventListener('click', () => {
+        selectedQueueId = config.id;
+        loadState();
+      });
+      elements.queueTabs.appendChild(tab);
+    }
+  }
+
+  /**
+   * Render the selected queue's items. Skipped while a prompt is being
+   * edited so the periodic refresh doesn't reset the textarea.
+   */
+  function renderItemList() {
+    if (editing && items.some(i => i.id === editing.itemId && EDITABLE_STATUSES.includes(i.status))) {
+      return;
+    }
+    editing = null;
+
+    if (items.length === 0) {
+      elements.itemList.innerHTML = '<div class="empty">No prompts in this queue</div>';
+      return;
+    }
+
+    elements.itemList.innerHTML = items.map((item, index) => {
+      const editable = EDITABLE_STATUSES.includes(item.status);
+      const takes = getVariationProgress(item);
+      return `
+        <div class="item status-${escapeHtml(item.status)}" data-id="${escapeHtml(item.id)}">
+          <div class="item-prompt" title="${escapeHtml(item.prompt)}">${escapeHtml(truncate(item.prompt, 120))}</div>
+          ${item.errorMessage && item.status !== 'succeeded' ? `<div class="item-error">${escapeHtml(item.errorMessage)}</div>` : ''}
+          <div class="item-bottom">
+            <span>${STATUS_LABELS[item.status] || escapeHtml(item.status)}${takes.total > 1 ? ` · 🎬 ${takes.submitted}/${takes.total}` : ''}</span>
+            <div class="item-actions">
+              <button data-action="up" title="Move up" ${index === 0 ? 'disabled' : ''}>▲</button>
+              <button data-action="down" title="Move down" ${index === items.length - 1 ? 'disabled' : ''}>▼</button>
+              <button data-action="edit" title="Edit prompt" ${editable ? '' : 'disabled'}>✏️</button>
+              <button data-action="remove" title="Remove">❌</button>
+            </div>
+          </div>
+        </div>
+      `;
+    }).join('');
+  }
+
+  /**
+   * Swap the item's prompt for an inline editor
+   */
+  function startEditing(item) {
+    editing = { itemId: item.id, draft: item.prompt };
+    const row = elements.itemList.querySelector(`.item[data-id="${CSS.escape(item.id)}"]`);
+    if (!row) return;
+
+    row.innerHTML = `
+      <textarea class="item-edit" rows="3">${escapeHtml(item.prompt)}</textarea>
+      <div class="item-bottom">
+        <span>${STATUS_LABELS[item.status] || escapeHtml(item.status)}</span>
+        <div class="item-actions">
+          <button data-action="save" title="Save">💾 Save</button>
+          <button data-action="cancel" title="Cancel">Cancel</button>
+        </div>
+      </div>
+    `;
+    const textarea = row.querySelector('.item-edit');
+    textarea.addEventListener('input', () => { editing.draft = textarea.value; });
+    textarea.focus();
+  }
+
+  /**
+   * Save an edited prompt, keeping the item's options, schedule, priority and takes
+   */
+  async function saveEdit(item) {
+    try {
+      const result = await chrome.runtime.sendMessage({
+        type: 'QUEUE_UPDATE_ITEM',
+        payload: {
+          itemId: item.id,
+          prompt: editing.draft,
+          options: item.options,
+          notBefore: item.notBefore,
+          priority: item.priority,
+          variations: item.variations
+        }
+      });
+      if (!result?.success) {
+        alert(result?.error || 'Could not save prompt');
+        return;
+      }
+      editing = null;
+      loadState();
+    } catch (error) {
+      console.error('Error saving prompt:', error);
+    }
+  }
+
+  /**
+   * Run a queue command for one item and refresh
+   */
+  async function runItemCommand(type, payload) {
+    try {
+      const result = await chrome.runtime.sendMessage({ type, payload });
+      if (!result?.success && result?.error) {
+        console.warn(`${type} failed:`, result.error);
+      }
+      loadState();
+    } catch (error) {
+      console.error(`Error running ${type}:`, error);
+    }
+  }
+
+  function handleItemAction(e) {
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+
+    const itemId = button.closest('.item')?.dataset.id;
+    const item = items.find(i => i.id === itemId);
+    if (!item) return;
+
+    switch (button.dataset.action) {
+      case 'up':
+      case 'down':
+        runItemCommand('QUEUE_MOVE', { itemId, direction: button.dataset.action });
+        break;
+      case 'edit':
+        startEditing(item);
+        break;
+      case 'save':
+        saveEdit(item);
+        break;
+      case 'cancel':
+        editing = null;
+        renderItemList();
+        break;
+      case 'remove':
+        runItemCommand('QUEUE_REMOVE', { itemId });
+        break;
+    }
+  }
+
+  /**
+   * Add the typed prompt to the selected queue
+   */
+  async function addPrompt() {
+    const prompt = elements.addInput.value.trim();
+    if (!prompt) return;
+
+    try {
+      const result = await chrome.runtime.sendMessage({
+        type: 'QUEUE_ADD',
+        payload: { items: [{ prompt }], queueId: selectedQueueId }
+      });
+      if (!result?.success) {
+        alert(result?.error || 'Could not add prompt');
+        return;
+      }
+      elements.addInput.value = '';
+      loadState();
+    } catch (error) {
+      console.error('Error adding prompt:', error);
+    }
+  }
+
   /**
    * Load token status from background
    */
@@ -114,13 +349,18 @@
     try {
       const result = await chrome.runtime.sendMessage({ type: 'GET_TOKEN_STATUS' });
       
-      if (result.hasToken) {
-        elements.tokenStatus.textContent = '✅ Captured';
+      const age = result.ageMs !== null && result.ageMs !== undefined ? ` (${formatAge(result.ageMs)})` : '';
+      if (result.hasToken && result.isStale) {
+        elements.tokenStatus.textContent = `⚠️ Stale${age}`;
+        elements.tokenStatus.className = 'stat-value warning';
+      } else if (result.hasToken) {
+        elements.tokenStatus.textContent = `✅ Captured${age}`;
         elements.tokenStatus.className = 'stat-value success';
       } else {
         elements.tokenStatus.textContent = '❌ Not captured';
         elements.tokenStatus.className = 'stat-value error';
       }
+      elements.tokenHelp.style.display = result.hasToken ? 'none' : 'block';
     } catch (error) {
       console.error('Error loading token status:', error);
       elements.tokenStatus.textContent = '? Unknown';
@@ -129,26 +369,11 @@
   }
 
   /**
-   * Toggle automation via storage update
+   * Toggle automation (resumes if paused) via the background engine
    */
   async function toggleAutomation() {
     try {
-      const result = await chrome.storage.local.get([STORAGE_KEY]);
-      const data = result[STORAGE_KEY] || {};
-
-      if (data.isPaused) {
-        // Resume
-        data.isPaused = false;
-        data.pauseReason = null;
-      } else if (data.isAutomationEnabled === false) {
-        // Enable
-        data.isAutomationEnabled = true;
-      } else {
-        // Disable
-        data.isAutomationEnabled = false;
-      }
-
-      await chrome.storage.local.set({ [STORAGE_KEY]: data });
+      await chrome.runtime.sendMessage({ type: 'TOGGLE_AUTOMATION' });
       loadState();
 
     } catch (error) {
@@ -157,18 +382,32 @@
   }
 
   /**
-   * Clear the queue
+   * Pause or resume the selected named queue
+   */
+  async function toggleQueue() {
+    const selected = queues.find(q => q.id === selectedQueueId);
+    if (!selected) return;
+
+    try {
+      await chrome.runtime.sendMessage({
+        type: 'QUEUE_CONFIGURE',
+        payload: { queueId: selected.id, isEnabled: !selected.isEnabled }
+      });
+      loadState();
+    } catch (error) {
+      console.error('Error toggling queue:', error);
+    }
+  }
+
+  /**
+   * Clear the selected queue
    */
   async function clearQueue() {
-    if (!confirm('Clear all queued prompts?')) return;
+    const selected = queues.find(q => q.id === selectedQueueId);
+    if (!confirm(`Clear all prompts in ${selected ? `"${selected.name}"` : 'the queue'}?`)) return;
 
     try {
-      const result = await chrome.storage.local.get([STORAGE_KEY]);
-      const data = result[STORAGE_KEY] || {};
-      
-      data.queue = [];
-      
-      await chrome.storage.local.set({ [STORAGE_KEY]: data });
+      await chrome.runtime.sendMessage({ type: 'QUEUE_CLEAR', payload: { queueId: selectedQueueId } });
       loadState();
     } catch (error) {
       console.error('Error clearing queue:', error);
@@ -198,27 +437,102 @@
     }
   }
 
+  /**
+   * Open the queue panel in Chrome's side panel for this window. Called
+   * straight from the click: sidePanel.open() needs the user gesture.
+   */
+  function openSidePanel() {
+    if (currentWindowId === null) return;
+
+    chrome.sidePanel.open({ windowId: currentWindowId })
+      .then(() => window.close())
+      .catch(error => console.error('Error opening side panel:', error));
+  }
+
+  /**
+   * Open the generation history page
+   */
+  async function openHistory() {
+    try {
+      await chrome.tabs.create({ url: chrome.runtime.getURL('history.html') });
+      window.close();
+    } catch (error) {
+      console.error('Error opening history:', error);
+    }
+  }
+
+  /**
+   * Open the options page
+   */
+  async function openSettings() {
+    try {
+      await chrome.runtime.openOptionsPage();
+      window.close();
+    } catch (error) {
+      console.error('Error opening settings:', error);
+    }
+  }
+
+  // ============================================================================
+  // UTILITY FUNCTIONS
+  // ============================================================================
+
+  /**
+   * Escape for element content and double-quoted attributes
+   */
+  function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text == null ? '' : String(text);
+    return div.innerHTML.replace(/"/g, '&quot;');
+  }
+
+  function formatAge(ms) {
+    const hours = Math.floor(ms / 3600000);
+    const minutes = Math.floor((ms % 3600000) / 60000);
+    return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+  }
+
+  function truncate(text, length) {
+    return text.length <= length ? text : `${text.substring(0, length)}...`;
+  }
+
   /**
    * Initialize
    */
   async function init() {
-    // Check current tab
-    await checkCurrentTab();
+    chrome.windows.getCurrent().then(win => { currentWindowId = win.id; });
+    checkSoraTab();
+    loadState();
+    loadTokenStatus();
 
     // Bind events
     elements.toggleBtn.addEventListener('click', toggleAutomation);
+    elements.queueToggleBtn.addEventListener('click', toggleQueue);
     elements.openSoraBtn.addEventListener('click', openSoraTab);
+    elements.noSoraOpenBtn.addEventListener('click', openSoraTab);
+    elements.sidePanelBtn.addEventListener('click', openSidePanel);
     elements.clearQueueBtn.addEventListener('click', clearQueue);
+    elements.historyBtn.addEventListener('click', openHistory);
+    elements.settingsBtn.addEventListener('click', openSettings);
+    elements.addBtn.addEventListener('click', addPrompt);
+    elements.addInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+        e.preventDefault();
+        addPrompt();
+      }
+    });
+    elements.itemList.addEventListener('click', handleItemAction);
 
     // Listen for storage changes
     chrome.storage.onChanged.addListener((changes, areaName) => {
-      if (areaName === 'local' && changes[STORAGE_KEY]) {
+      if (areaName === 'local' && (changes[STORAGE_KEY] || changes[ENGINE_STORAGE_KEY])) {
         loadState();
       }
     });
 
     // Refresh periodically
     setInterval(() => {
+      checkSoraTab();
       loadState();
       loadTokenStatus();
     }, 2000);
@@ -0,0 +1,971 @@
+/**
+ * Sora Prompt Queue - Shared Helpers
+ * 
+ * Pure queue logic used by both the background engine and the UI:
+ * generation option rules, user settings, priorities, variations,
+ * sequences, credit estimates, named queues, retry policy, submission
+ * schedule windows, download file names and the backup format.
+ * 
+ * Loaded as a classic script by the content script and extension pages, and
+ * imported for its side effect by the background service worker module.
+ */
+
+globalThis.SoraQueueShared = (function() {
+  'use strict';
+
+  // ============================================================================
+  // GENERATION OPTIONS
+  // ============================================================================
+
+  // Defaults applied to new queue items (mirrors the create body in executeSubmitPrompt)
+  const OPTION_DEFAULTS = {
+    orientation: 'portrait',
+    size: 'small',
+    n_frames: 300,
+    model: 'sy_8'
+  };
+
+  // Allowed values for every field of the /backend/nf/create body.
+  // `input` overrides the editor control derived from `type`.
+  const OPTION_RULES = {
+    kind: { type: 'enum', values: ['video'], label: 'Kind' },
+    title: { type: 'string', maxLength: 200, label: 'Title' },
+    orientation: { type: 'enum', values: ['portrait', 'landscape', 'square'], label: 'Orientation' },
+    size: { type: 'enum', values: ['small', 'medium', 'large'], label: 'Size' },
+    n_frames: { type: 'integer', min: 1, max: 1800, label: 'Frames' },
+    model: { type: 'string', pattern: /^[A-Za-z0-9_.-]+$/, label: 'Model' },
+    style_id: { type: 'string', label: 'Style ID' },
+    inpaint_items: { type: 'array', input: 'json', label: 'Inpaint items (JSON)' },
+    remix_target_id: { type: 'string', label: 'Remix target ID' },
+    metadata: { type: 'object', label: 'Metadata (JSON)' },
+    cameo_ids: { type: 'array', input: 'list', label: 'Cameo IDs (comma-separated)' },
+    cameo_replacements: { type: 'object', label: 'Cameo replacements (JSON)' },
+    audio_caption: { type: 'string', label: 'Audio caption' },
+    audio_transcript: { type: 'string', label: 'Audio transcript' },
+    video_caption: { type: 'string', label: 'Video caption' },
+    storyboard_id: { type: 'string', label: 'Storyboard ID' }
+  };
+
+  /**
+   * Validate and normalize a generation options object.
+   * Empty values are dropped; returns { options, errors }.
+   */
+  function validateOptions(rawOptions) {
+    const options = {};
+    const errors = [];
+
+    if (!rawOptions || typeof rawOptions !== 'object' || Array.isArray(rawOptions)) {
+      return { options, errors: ['Options must be an object'] };
+    }
+
+    for (const [key, rawValue] of Object.entries(rawOptions)) {
+      const rule = OPTION_RULES[key];
+      if (!rule) {
+        errors.push(`Unknown field "${key}"`);
+        continue;
+      }
+
+      let value = typeof rawValue === 'string' ? rawValue.trim() : rawValue;
+      if (value === null || value === undefined || value === '') continue;
+
+      switch (rule.type) {
+        case 'enum':
+          value = String(value).toLowerCase();
+          if (!rule.values.includes(value)) {
+            errors.push(`${key} must be one of ${rule.values.join(', ')}`);
+            continue;
+          }
+          break;
+
+        case 'integer':
+          value = Number(value);
+          if (!Number.isInteger(value) || value < rule.min || value > rule.max) {
+            errors.push(`${key} must be a whole number between ${rule.min} and ${rule.max}`);
+            continue;
+          }
+          break;
+
+        case 'string':
+          if (typeof value !== 'string' && typeof value !== 'number') {
+            errors.push(`${key} must be text`);
+            continue;
+          }
+          value = String(value);
+          if (rule.maxLength && value.length > rule.maxLength) {
+            errors.push(`${key} must be at most ${rule.maxLength} characters`);
+            continue;
+          }
+          if (rule.pattern && !rule.pattern.test(value)) {
+            errors.push(`${key} has invalid characters`);
+            continue;
+          }
+          break;
+
+        case 'array':
+          if (!Array.isArray(value)) {
+            errors.push(`${key} must be a list`);
+            continue;
+          }
+          if (value.length === 0) continue;
+          break;
+
+        case 'object':
+          if (typeof value !== 'object' || Array.isArray(value)) {
+            errors.push(`${key} must be an object`);
+            continue;
+          }
+          break;
+      }
+
+      options[key] = value;
+    }
+
+    return { options, errors };
+  }
+
+  // ============================================================================
+  // SETTINGS
+  // ============================================================================
+
+  // Stored in chrome.storage.sync and edited on the options page
+  const SETTINGS_STORAGE_KEY = 'soraSettings';
+
+  // Concurrent generations per account: assumed until the real limit is
+  // detected, and the most any setting or slot share may ask for
+  const DEFAULT_CONCURRENCY_LIMIT = 3;
+  const MAX_CONCURRENCY_LIMIT = 20;
+
+  // File name of automatically downloaded videos (see formatDownloadName)
+  const DEFAULT_DOWNLOAD_TEMPLATE = '{date}_{queue}_{index}_{prompt-slug}.mp4';
+
+  const SETTING_RULES = {
+    pollIntervalMs: { type: 'integer', min: 1000, max: 60000, default: 5000, label: 'Poll interval (ms)', hint: 'How often pending generations are checked' },
+    submitCooldownMs: { type: 'integer', min: 0, max: 60000, default: 2000, label: 'Submit cooldown (ms)', hint: 'Minimum time between two submissions' },
+    maxConcurrentTasks: { type: 'integer', min: 0, max: MAX_CONCURRENCY_LIMIT, default: 0, label: 'Max concurrent generations', hint: 'Overrides the limit detected for your account; 0 detects it automatically' },
+    backoffBaseMs: { type: 'integer', min: 1000, max: 600000, default: 10000, label: 'Concurrent-limit backoff (ms)', hint: 'Wait after Sora reports every slot busy' },
+    backoffJitterMs: { type: 'integer', min: 0, max: 600000, default: 5000, label: 'Backoff jitter (ms)', hint: 'Random extra added to that wait' },
+    promptPreviewLength: { type: 'integer', min: 20, max: 500, default: 80, label: 'Prompt preview length', hint: 'Characters shown in the queue list and notifications' },
+    tokenMaxAgeMin: { type: 'integer', min: 0, max: 1440, default: 120, label: 'Token max age (min)', hint: 'After this long the captured token counts as stale and you are asked to refresh it; 0 never' },
+    tokenStalePause: { type: 'boolean', default: false, label: 'Pause on stale token', hint: 'Hold the queue until a fresh token is captured instead of submitting with a stale one' },
+    showPagePanel: { type: 'boolean', default: true, label: 'On-page panel', hint: 'Show the queue panel on Sora pages; turn off to manage the queue from the side panel only' },
+    notifyQueueDrained: { type: 'boolean', default: true, label: 'Notify: queue finished', hint: 'Desktop notification when every queued prompt has finished' },
+    notifyItemFailed: { type: 'boolean', default: true, label: 'Notify: prompt failed', hint: 'A generation failed, was rejected, or ran out of retries' },
+    notifyDailyLimit: { type: 'boolean', default: true, label: 'Notify: daily limit hit', hint: 'Automation paused for the daily limit or missing credits' },
+    notifyDailyLimitReset: { type: 'boolean', default: true, label: 'Notify: daily limit reset', hint: 'The limit window passed and automation resumed' },
+    notifyTokenLost: { type: 'boolean', default: true, label: 'Notify: token lost', hint: 'The captured token stopped working or went stale and a manual generation is needed' },
+    notifyCompleted: { type: 'boolean', default: false, label: 'Notify: generation completed', hint: 'One notification per finished video' },
+    autoDownload: { type: 'boolean', default: false, label: 'Download finished videos', hint: 'Save every video the queue generated to the downloads folder, with a .json file of its prompt and options' },
+    downloadTemplate: { type: 'string', maxLength: 200, default: DEFAULT_DOWNLOAD_TEMPLATE, label: 'Download file name', hint: 'Placeholders: {date} {time} {queue} {index} {prompt-slug} {task}; "/" makes subfolders' },
+    debug: { type: 'boolean', default: true, label: 'Debug logging', hint: 'Log engine activity to the console' }
+  };
+
+  const DEFAULT_SETTINGS = Object.fromEntries(
+    Object.entries(SETTING_RULES).map(([key, rule]) => [key, rule.default])
+  );
+
+  /**
+   * Validate a settings object; returns { settings, errors } where
+   * `settings` holds only the valid fields
+   */
+  function validateSettings(rawSettings) {
+    const settings = {};
+    const errors = [];
+
+    if (!rawSettings || typeof rawSettings !== 'object' || Array.isArray(rawSettings)) {
+      return { settings, errors: ['Settings must be an object'] };
+    }
+
+    for (const [key, value] of Object.entries(rawSettings)) {
+      const rule = SETTING_RULES[key];
+      if (!rule) {
+        errors.push(`Unknown setting "${key}"`);
+        continue;
+      }
+
+      if (rule.type === 'boolean') {
+        if (typeof value !== 'boolean') {
+          errors.push(`${rule.label} must be on or off`);
+          continue;
+        }
+      } else if (rule.type === 'string') {
+        if (typeof value !== 'string' || !value.trim() || value.length > rule.maxLength) {
+          errors.push(`${rule.label} must be 1 to ${rule.maxLength} characters`);
+          continue;
+        }
+      } else if (!Number.isInteger(value) || value < rule.min || value > rule.max) {
+        errors.push(`${rule.label} must be a whole number between ${rule.min} and ${rule.max}`);
+        continue;
+      }
+
+      settings[key] = value;
+    }
+
+    return { settings, errors };
+  }
+
+  /**
+   * Stored settings over the defaults; invalid stored values are ignored
+   */
+  function resolveSettings(stored) {
+    return { ...DEFAULT_SETTINGS, ...validateSettings(stored || {}).settings };
+  }
+
+  // Items that have not (successfully) reached Sora can still be edited
+  const EDITABLE_STATUSES = ['queued', 'error', 'failed', 'rejected'];
+
+  // ============================================================================
+  // PRIORITIES
+  // ============================================================================
+
+  // Priority bands, most urgent first
+  const PRIORITIES = ['urgent', 'normal', 'low'];
+  const DEFAULT_PRIORITY = 'normal';
+
+  function getPriorityRank(item) {
+    const rank = PRIORITIES.indexOf(item.priority);
+    return rank === -1 ? PRIORITIES.indexOf(DEFAULT_PRIORITY) : rank;
+  }
+
+  // ============================================================================
+  // VARIATIONS
+  // ============================================================================
+
+  // An item may ask for several takes of its prompt. The create body has no
+  // variant count, so every take is its own create, recorded in item.takes
+  // as { taskId, status, errorMessage, submittedAt, completedAt }.
+  const MAX_VARIATIONS = 10;
+  // 'unknown': gone from pending/v2 without a video in the drafts
+  const FINISHED_STATUSES = ['succeeded', 'failed', 'unknown'];
+
+  function getVariationCount(item) {
+    return Number.isInteger(item.variations) && item.variations > 1 ? item.variations : 1;
+  }
+
+  /**
+   * How many of an item's takes were submitted and have finished
+   */
+  function getVariationProgress(item) {
+    const takes = item.takes || [];
+    return {
+      total: getVariationCount(item),
+      submitted: takes.length,
+      finished: takes.filter(take => FINISHED_STATUSES.includes(take.status)).length,
+      succeeded: takes.filter(take => take.status === 'succeeded').length
+    };
+  }
+
+  /**
+   * Generations an item is occupying: its running takes, plus the one being
+   * sent
+   */
+  function countInFlight(item) {
+    if (getVariationCount(item) === 1) {
+      return IN_FLIGHT_STATUSES.includes(item.status) ? 1 : 0;
+    }
+    const running = (item.takes || []).filter(take => !FINISHED_STATUSES.includes(take.status)).length;
+    return running + (item.status === 'sending' ? 1 : 0);
+  }
+
+  // ============================================================================
+  // SEQUENCES
+  // ============================================================================
+
+  // Shots of a sequence carry item.sequence = { id, name, index (0-based),
+  // total, waitForPrevious, linkField, linkedGenerationId }. They are sent
+  // in index order; a shot may wait for the previous one to finish and get
+  // its generation ID in one of SEQUENCE_LINK_FIELDS.
+  const SEQUENCE_LINK_FIELDS = ['remix_target_id', 'storyboard_id'];
+  const UNSENT_STATUSES = ['queued', 'sending'];
+  // Never sent and not retried on their own; only the user moves them on
+  const STOPPED_STATUSES = ['error', 'rejected'];
+
+  function getPreviousShot(queue, item) {
+    const { id, index } = item.sequence;
+    return queue.find(other => other.sequence?.id === id && other.sequence.index === index - 1) || null;
+  }
+
+  /**
+   * Why a shot can't be sent yet: 'failed' (an earlier shot stopped, or the
+   * previous shot it waits for failed or ended unknown), 'order' (an earlier shot has not
+   * reached Sora), 'previous' (the previous shot has not finished) or
+   * 'link' (its generation ID is not known yet). null when it can go;
+   * shots removed from the queue hold nothing up.
+   */
+  function getSequenceBlock(item, queue) {
+    if (!item.sequence) return null;
+    const { id, index, waitForPrevious, linkField, linkedGenerationId } = item.sequence;
+
+    const earlier = queue.filter(other => other.sequence?.id === id && other.sequence.index < index);
+    if (earlier.some(other => STOPPED_STATUSES.includes(other.status))) return 'failed';
+    if (earlier.some(other => UNSENT_STATUSES.includes(other.status))) return 'order';
+
+    const previous = getPreviousShot(queue, item);
+    if (!previous) return null;
+    if (waitForPrevious && (previous.status === 'failed' || previous.status === 'unknown')) return 'failed';
+    if (waitForPrevious && previous.status !== 'succeeded') return 'previous';
+    if (linkField && !linkedGenerationId) return 'link';
+    return null;
+  }
+
+  function validateSequence(sequence) {
+    if (!sequence || typeof sequence !== 'object' || Array.isArray(sequence)) {
+      return ['sequence must be an object'];
+    }
+
+    const errors = [];
+    if (typeof sequence.id !== 'string' || !sequence.id) errors.push('sequence id is required');
+    if (!Number.isInteger(sequence.index) || sequence.index < 0) {
+      errors.push('sequence index must be a whole number from 0');
+    }
+    if (sequence.linkField != null && !SEQUENCE_LINK_FIELDS.includes(sequence.linkField)) {
+      errors.push(`sequence link must be one of ${SEQUENCE_LINK_FIELDS.join(', ')}`);
+    }
+    if (sequence.linkField && !sequence.waitForPrevious) {
+      errors.push('a shot that references the previous output must wait for it');
+    }
+    return errors;
+  }
+
+  // ============================================================================
+  // CREDITS
+  // ============================================================================
+
+  // Estimated credits per generation: a base cost per size for every started
+  // CREDIT_COST_FRAMES frames (10s at 30fps). Costs the background observed
+  // from balance changes, keyed by model/size/frames, replace the estimate.
+  const CREDIT_COST_FRAMES = 300;
+  const CREDIT_COST_BY_SIZE = { small: 1, medium: 2, large: 4 };
+
+  function getCostKey(options = {}) {
+    const model = options.model || OPTION_DEFAULTS.model;
+    const size = options.size || OPTION_DEFAULTS.size;
+    const frames = options.n_frames || OPTION_DEFAULTS.n_frames;
+    return `${model}/${size}/${frames}`;
+  }
+
+  function estimateItemCost(options = {}, learnedCosts = {}) {
+    const learned = learnedCosts[getCostKey(options)];
+    if (Number.isFinite(learned)) return learned;
+
+    const base = CREDIT_COST_BY_SIZE[options.size || OPTION_DEFAULTS.size] ?? CREDIT_COST_BY_SIZE.small;
+    const frames = options.n_frames || OPTION_DEFAULTS.n_frames;
+    return base * Math.ceil(frames / CREDIT_COST_FRAMES);
+  }
+
+  /**
+   * Estimated credits needed for every take still waiting to be sent
+   */
+  function estimateQueueCost(queue, learnedCosts = {}) {
+    return queue
+      .filter(item => item.status === 'queued' || item.status === 'sending')
+      .reduce((sum, item) => {
+        const { total, submitted } = getVariationProgress(item);
+        return sum + estimateItemCost(item.options, learnedCosts) * (total - submitted);
+      }, 0);
+  }
+
+  // ============================================================================
+  // NAMED QUEUES
+  // ============================================================================
+
+  // Every item belongs to one named queue; the first one can't be deleted
+  const DEFAULT_QUEUE_ID = 'default';
+  const SCHEDULING_MODES = ['round_robin', 'weighted'];
+  const IN_FLIGHT_STATUSES = ['sending', 'submitted', 'processing'];
+
+  function createQueueConfig(id, name) {
+    return {
+      id,
+      name,
+      isEnabled: true,               // Per-queue pause switch
+      slots: null,                   // Share of the concurrent slots (null = all of them)
+      defaultOptions: {}             // Merged under each new item's options
+    };
+  }
+
+  function validateQueueConfig(config) {
+    const errors = [];
+
+    if (typeof config.id !== 'string' || !config.id) errors.push('missing id');
+    if (typeof config.name !== 'string' || !config.name.trim()) errors.push('name is required');
+    if (typeof config.isEnabled !== 'boolean') errors.push('isEnabled must be true or false');
+    if (config.slots !== null &&
+        (!Number.isInteger(config.slots) || config.slots < 1 || config.slots > MAX_CONCURRENCY_LIMIT)) {
+      errors.push(`slots must be empty or a whole number between 1 and ${MAX_CONCURRENCY_LIMIT}`);
+    }
+    validateOptions(config.defaultOptions).errors.forEach(err => errors.push(`default options: ${err}`));
+
+    return errors;
+  }
+
+  /**
+   * Choose the next item across named queues. Each enabled queue below its
+   * slot share (at most the account's `maxSlots`) offers its own best item
+   * (see pickNextItem). A "submit next" item wins outright; otherwise
+   * 'round_robin' takes the first offering queue after `lastQueueId`, and
+   * 'weighted' the one using the smallest fraction of its slots
+   * (round-robin order breaks ties).
+   */
+  function pickNextAcrossQueues(queue, queues, { schedule, mode, lastQueueId, maxSlots = DEFAULT_CONCURRENCY_LIMIT, now = Date.now() }) {
+    const start = queues.findIndex(q => q.id === lastQueueId) + 1;
+    const ordered = [...queues.slice(start), ...queues.slice(0, start)];
+
+    const offers = [];
+    for (const config of ordered) {
+      if (!config.isEnabled) continue;
+
+      const items = queue.filter(item => item.queueId === config.id);
+      const active = items.reduce((sum, item) => sum + countInFlight(item), 0);
+      const slots = Math.min(config.slots ?? maxSlots, maxSlots);
+      if (active >= slots) continue;
+
+      const item = pickNextItem(items, schedule, now);
+      if (item) offers.push({ item, load: active / slots });
+    }
+
+    if (offers.length === 0) return null;
+
+    const jumped = offers.find(offer => offer.item.submitNext);
+    if (jumped) return jumped.item;
+
+    if (mode === 'weighted') {
+      return offers.reduce((best, offer) => offer.load < best.load ? offer : best).item;
+    }
+    return offers[0].item;
+  }
+
+  // ============================================================================
+  // RETRY POLICY
+  // ============================================================================
+
+  // Failure classes a failed submission falls into (see classifyFailure).
+  // Content-policy and validation rejections are never retried and have no
+  // rule: the same prompt would only be rejected again.
+  const FAILURE_CLASSES = {
+    network: 'Network error',
+    server: 'Server error (5xx)',
+    rate_limit: 'Unknown rate limit (429)',
+    other: 'Other errors'
+  };
+
+  // Attempt n (1-based) waits baseDelayMs * multiplier^(n-1), capped at
+  // maxDelayMs, plus up to jitterRatio of random extra
+  const DEFAULT_RETRY_POLICY = {
+    multiplier: 2,
+    maxDelayMs: 30 * 60000,
+    jitterRatio: 0.3,
+    rules: {
+      network: { retry: true, maxAttempts: 5, baseDelayMs: 10000 },
+      server: { retry: true, maxAttempts: 4, baseDelayMs: 30000 },
+      rate_limit: { retry: true, maxAttempts: 3, baseDelayMs: 10000 },
+      other: { retry: false, maxAttempts: 1, baseDelayMs: 10000 }
+    }
+  };
+
+  /**
+   * Fill in defaults for a stored (possibly partial or null) policy
+   */
+  function resolveRetryPolicy(policy) {
+    const rules = {};
+    for (const name of Object.keys(FAILURE_CLASSES)) {
+      rules[name] = { ...DEFAULT_RETRY_POLICY.rules[name], ...policy?.rules?.[name] };
+    }
+    return { ...DEFAULT_RETRY_POLICY, ...policy, rules };
+  }
+
+  function validateRetryPolicy(policy) {
+    const errors = [];
+
+    if (!policy || typeof policy !== 'object') return ['Retry policy must be an object'];
+    if (typeof policy.multiplier !== 'number' || policy.multiplier < 1 || policy.multiplier > 10) {
+      errors.push('multiplier must be between 1 and 10');
+    }
+    if (!Number.isInteger(policy.maxDelayMs) || policy.maxDelayMs < 1000) {
+      errors.push('maxDelayMs must be at least 1000');
+    }
+    if (typeof policy.jitterRatio !== 'number' || policy.jitterRatio < 0 || policy.jitterRatio > 1) {
+      errors.push('jitterRatio must be between 0 and 1');
+    }
+
+    for (const name of Object.keys(FAILURE_CLASSES)) {
+      const rule = policy.rules?.[name];
+      if (!rule) {
+        errors.push(`missing rule for ${name}`);
+        continue;
+      }
+      if (typeof rule.retry !== 'boolean') errors.push(`${name}: retry must be true or false`);
+      if (!Number.isInteger(rule.maxAttempts) || rule.maxAttempts < 1 || rule.maxAttempts > 20) {
+        errors.push(`${name}: maxAttempts must be a whole number between 1 and 20`);
+      }
+      if (!Number.isInteger(rule.baseDelayMs) || rule.baseDelayMs < 0) {
+        errors.push(`${name}: baseDelayMs must be a whole number of milliseconds`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Sort a failed submission result into a FAILURE_CLASSES key
+   */
+  function classifyFailure(result) {
+    if (result.error === 'NETWORK_ERROR') return 'network';
+    if (result.error === 'RATE_LIMIT_UNKNOWN') return 'rate_limit';
+    if (result.status >= 500) return 'server';
+    return 'other';
+  }
+
+  /**
+   * Decide what happens after the `attempt`-th failed attempt of a class:
+   * { retry: true, delayMs } or { retry: false }
+   */
+  function getRetryDecision(policy, failureClass, attempt) {
+    const rule = policy.rules[failureClass] || policy.rules.other;
+    if (!rule.retry || attempt >= rule.maxAttempts) {
+      return { retry: false, maxAttempts: rule.maxAttempts };
+    }
+
+    const exponential = rule.baseDelayMs * Math.pow(policy.multiplier, attempt - 1);
+    const capped = Math.min(exponential, policy.maxDelayMs);
+    const delayMs = Math.round(capped * (1 + Math.random() * policy.jitterRatio));
+    return { retry: true, delayMs, maxAttempts: rule.maxAttempts };
+  }
+
+  // ============================================================================
+  // SCHEDULE
+  // ============================================================================
+
+  // Global window: submit only between `start` and `end` (local time, may
+  // cross midnight) on windows that begin on one of `days` (0 = Sunday)
+  const DEFAULT_SCHEDULE = {
+    enabled: false,
+    start: '01:00',
+    end: '07:00',
+    days: [0, 1, 2, 3, 4, 5, 6]
+  };
+
+  function parseTimeOfDay(value) {
+    const [hours, minutes] = String(value).split(':').map(Number);
+    return hours * 60 + minutes;
+  }
+
+  function validateSchedule(schedule) {
+    const errors = [];
+    const timeRe = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+    if (typeof schedule.enabled !== 'boolean') errors.push('enabled must be true or false');
+    if (!timeRe.test(schedule.start)) errors.push('start must be HH:MM');
+    if (!timeRe.test(schedule.end)) errors.push('end must be HH:MM');
+    if (!Array.isArray(schedule.days) ||
+        !schedule.days.every(d => Number.isInteger(d) && d >= 0 && d <= 6)) {
+      errors.push('days must be a list of weekday numbers (0-6)');
+    } else if (schedule.enabled && schedule.days.length === 0) {
+      errors.push('select at least one day');
+    }
+    return errors;
+  }
+
+  /**
+   * Find the earliest time >= `from` inside the schedule window, or null if
+   * the window can never open (no days selected)
+   */
+  function getNextWindowTime(schedule, from) {
+    if (!schedule?.enabled) return from;
+    if (!schedule.days?.length) return null;
+
+    const start = parseTimeOfDay(schedule.start);
+    const end = parseTimeOfDay(schedule.end);
+    const length = end > start ? end - start : end + 1440 - start;
+
+    // Check windows beginning yesterday (may still be open) through a week out
+    for (let offset = -1; offset <= 7; offset++) {
+      const windowStart = new Date(from);
+      windowStart.setDate(windowStart.getDate() + offset);
+      windowStart.setHours(Math.floor(start / 60), start % 60, 0, 0);
+      if (!schedule.days.includes(windowStart.getDay())) continue;
+
+      const windowEnd = windowStart.getTime() + length * 60000;
+      if (from < windowEnd) {
+        return Math.max(from, windowStart.getTime());
+      }
+    }
+    return null;
+  }
+
+  /**
+   * When an item may be submitted: its own "not before" (or retry backoff)
+   * time pushed forward into the global window. Returns `now` if eligible
+   * now, null if never.
+   */
+  function getItemEligibleAt(item, schedule, now = Date.now()) {
+    return getNextWindowTime(schedule, Math.max(item.notBefore || 0, item.nextAttemptAt || 0, now));
+  }
+
+  /**
+   * Pick the next item to submit among those eligible now: "submit next"
+   * items first, then by priority band, then by queue position (which is
+   * age order unless the user reordered the band)
+   */
+  function pickNextItem(queue, schedule, now = Date.now()) {
+    let next = null;
+    for (const item of queue) {
+      if (item.status !== 'queued' || getItemEligibleAt(item, schedule, now) !== now) continue;
+      if (getSequenceBlock(item, queue)) continue;
+      if (!next ||
+          (item.submitNext && !next.submitNext) ||
+          (!!item.submitNext === !!next.submitNext && getPriorityRank(item) < getPriorityRank(next))) {
+        next = item;
+      }
+    }
+    return next;
+  }
+
+  // ============================================================================
+  // DOWNLOADS
+  // ============================================================================
+
+  /**
+   * Lowercase a-z0-9 words joined by dashes, at most `maxLength` characters
+   */
+  function slugify(text, maxLength = 40) {
+    const slug = String(text || '')
+      .toLowerCase()
+      .normalize('NFKD')
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+    return slug.slice(0, maxLength).replace(/-+$/, '') || 'untitled';
+  }
+
+  /**
+   * Fill a download template. `index` is the video's number within its
+   * queue item (counting across its takes and any extra videos per take).
+   * The result is a relative path chrome.downloads accepts: no characters
+   * Windows rejects, no absolute or parent-directory segments.
+   */
+  function formatDownloadName(template, { date, queue, index, prompt, taskId }) {
+    const at = new Date(date);
+    const pad = (n) => String(n).padStart(2, '0');
+    const values = {
+      date: `${at.getFullYear()}-${pad(at.getMonth() + 1)}-${pad(at.getDate())}`,
+      time: `${pad(at.getHours())}${pad(at.getMinutes())}${pad(at.getSeconds())}`,
+      queue: slugify(queue, 30),
+      index: String(index),
+      'prompt-slug': slugify(prompt),
+      task: slugify(taskId, 60)
+    };
+
+    return template
+      .replace(/\{([a-z-]+)\}/g, (match, key) => values[key] ?? match)
+      .replace(/[<>:"\\|?*\x00-\x1f{}]/g, '_')
+      .split('/')
+      .map(part => part.trim().replace(/^\.+/, ''))
+      .filter(Boolean)
+      .join('/');
+  }
+
+  // ============================================================================
+  // BACKUP FORMAT
+  // ============================================================================
+
+  const BACKUP_FORMAT = 'sora-prompt-queue-backup';
+  const BACKUP_VERSION = 8;
+  // Item IDs as the extension generates them (q_<time>_<random>), safe in markup
+  const ITEM_ID_PATTERN = /^[\w-]{1,64}$/;
+  const ITEM_STATUSES = ['queued', 'sending', 'submitted', 'processing', 'succeeded', 'failed', 'unknown', 'error', 'rejected'];
+
+  // Upgrade steps keyed by the version they upgrade from
+  const BACKUP_MIGRATIONS = {
+    // v0: a bare soraQueue storage object (no envelope); items may predate task tracking
+    0: (data) => ({
+      format: BACKUP_FORMAT,
+      version: 1,
+      exportedAt: null,
+      state: {
+        queue: (data.queue || []).map(item => ({
+          taskId: null,
+          submittedAt: null,
+          completedAt: null,
+          ...item
+        })),
+        dailyLimitResetTime: data.dailyLimitResetTime || null,
+        isPaused: data.isPaused || false,
+        pauseReason: data.pauseReason || null,
+        isAutomationEnabled: data.isAutomationEnabled !== false
+      }
+    }),
+    // v1 -> v2: global submission schedule and per-item "not before" times
+    1: (data) => ({
+      ...data,
+      version: 2,
+      state: {
+        ...data.state,
+        queue: data.state.queue.map(item => ({ notBefore: null, ...item })),
+        schedule: null
+      }
+    }),
+    // v2 -> v3: priority bands and "submit next"
+    2: (data) => ({
+      ...data,
+      version: 3,
+      state: {
+        ...data.state,
+        queue: data.state.queue.map(item => ({ priority: DEFAULT_PRIORITY, submitNext: false, ...item }))
+      }
+    }),
+    // v3 -> v4: named queues; everything so far lived in the default queue
+    3: (data) => ({
+      ...data,
+      version: 4,
+      state: {
+        ...data.state,
+        queue: data.state.queue.map(item => ({ queueId: DEFAULT_QUEUE_ID, ...item })),
+        queues: [createQueueConfig(DEFAULT_QUEUE_ID, 'Default')],
+        schedulingMode: 'round_robin'
+      }
+    }),
+    // v4 -> v5: retry policy (null = defaults) and per-item backoff times
+    4: (data) => ({
+      ...data,
+      version: 5,
+      state: {
+        ...data.state,
+        queue: data.state.queue.map(item => ({ nextAttemptAt: null, ...item })),
+        retryPolicy: null
+      }
+    }),
+    // v5 -> v6: slot shares above 3 became possible; 3 was the maximum and
+    // meant "all slots", which is now null
+    5: (data) => ({
+      ...data,
+      version: 6,
+      state: {
+        ...data.state,
+        queues: data.state.queues.map(q => (q.slots === 3 ? { ...q, slots: null } : q))
+      }
+    }),
+    // v6 -> v7: several takes per item, each recorded in item.takes
+    6: (data) => ({
+      ...data,
+      version: 7,
+      state: {
+        ...data.state,
+        queue: data.state.queue.map(item => ({ variations: 1, takes: [], ...item }))
+      }
+    }),
+    // v7 -> v8: sequence shots (null for standalone items)
+    7: (data) => ({
+      ...data,
+      version: 8,
+      state: {
+        ...data.state,
+        queue: data.state.queue.map(item => ({ sequence: null, ...item }))
+      }
+    })
+  };
+
+  /**
+   * Snapshot the persisted queue state in the current backup format
+   */
+  function buildBackup(queueState) {
+    return {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      exportedAt: Date.now(),
+      state: {
+        queue: queueState.queue,
+        dailyLimitResetTime: queueState.dailyLimitResetTime,
+        isPaused: queueState.isPaused,
+        pauseReason: queueState.pauseReason,
+        isAutomationEnabled: queueState.isAutomationEnabled,
+        schedule: queueState.schedule,
+        queues: queueState.queues,
+        schedulingMode: queueState.schedulingMode,
+        retryPolicy: queueState.retryPolicy
+      }
+    };
+  }
+
+  /**
+   * Parse, migrate and validate a backup file. Returns { backup, errors }.
+   */
+  function parseBackup(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (err) {
+      return { backup: null, errors: [`Not valid JSON: ${err.message}`] };
+    }
+
+    let version;
+    if (data?.format === BACKUP_FORMAT) {
+      version = data.version;
+    } else if (Array.isArray(data?.queue)) {
+      version = 0;
+    } else {
+      return { backup: null, errors: ['Not a Sora Prompt Queue backup'] };
+    }
+
+    if (!Number.isInteger(version) || version < 0) {
+      return { backup: null, errors: [`Invalid backup version: ${version}`] };
+    }
+    if (version > BACKUP_VERSION) {
+      return { backup: null, errors: [`Backup version ${version} is newer than this extension supports (${BACKUP_VERSION})`] };
+    }
+
+    while (version < BACKUP_VERSION) {
+      data = BACKUP_MIGRATIONS[version](data);
+      version = data.version;
+    }
+
+    const errors = validateBackupState(data.state);
+    return { backup: errors.length === 0 ? data : null, errors };
+  }
+
+  function validateBackupState(backupState) {
+    if (!backupState || typeof backupState !== 'object') {
+      return ['Missing queue state'];
+    }
+    if (!Array.isArray(backupState.queue)) {
+      return ['Queue must be a list'];
+    }
+
+    if (!Array.isArray(backupState.queues) || backupState.queues.length === 0) {
+      return ['Queues must be a non-empty list'];
+    }
+
+    const errors = [];
+    const ids = new Set();
+    const queueIds = new Set();
+
+    backupState.queues.forEach((config, i) => {
+      if (!config || typeof config !== 'object') {
+        errors.push(`Queue ${i + 1}: not an object`);
+        return;
+      }
+      validateQueueConfig(config).forEach(err => errors.push(`Queue ${i + 1}: ${err}`));
+      if (queueIds.has(config.id)) errors.push(`Queue ${i + 1}: duplicate id ${config.id}`);
+      queueIds.add(config.id);
+    });
+
+    if (!SCHEDULING_MODES.includes(backupState.schedulingMode)) {
+      errors.push(`schedulingMode must be one of ${SCHEDULING_MODES.join(', ')}`);
+    }
+
+    backupState.queue.forEach((item, i) => {
+      const label = `Item ${i + 1}`;
+      if (!item || typeof item !== 'object') {
+        errors.push(`${label}: not an object`);
+        return;
+      }
+      if (typeof item.id !== 'string' || !item.id) {
+        errors.push(`${label}: missing id`);
+      } else if (!ITEM_ID_PATTERN.test(item.id)) {
+        errors.push(`${label}: invalid id`);
+      } else if (ids.has(item.id)) {
+        errors.push(`${label}: duplicate id ${item.id}`);
+      } else {
+        ids.add(item.id);
+      }
+      if (typeof item.prompt !== 'string' || !item.prompt.trim()) {
+        errors.push(`${label}: missing prompt`);
+      }
+      if (!ITEM_STATUSES.includes(item.status)) {
+        errors.push(`${label}: unknown status "${item.status}"`);
+      }
+      if (!Number.isInteger(item.retryCount) || item.retryCount < 0) {
+        errors.push(`${label}: invalid retryCount`);
+      }
+      if (item.notBefore != null && !Number.isFinite(item.notBefore)) {
+        errors.push(`${label}: invalid notBefore`);
+      }
+      if (item.nextAttemptAt != null && !Number.isFinite(item.nextAttemptAt)) {
+        errors.push(`${label}: invalid nextAttemptAt`);
+      }
+      if (item.variations != null &&
+          (!Number.isInteger(item.variations) || item.variations < 1 || item.variations > MAX_VARIATIONS)) {
+        errors.push(`${label}: variations must be a whole number between 1 and ${MAX_VARIATIONS}`);
+      }
+      if (item.takes != null && !Array.isArray(item.takes)) {
+        errors.push(`${label}: takes must be a list`);
+      }
+      if (!PRIORITIES.includes(item.priority)) {
+        errors.push(`${label}: unknown priority "${item.priority}"`);
+      }
+      if (item.sequence != null) {
+        validateSequence(item.sequence).forEach(err => errors.push(`${label}: ${err}`));
+        if (item.sequence.linkedGenerationId != null && typeof item.sequence.linkedGenerationId !== 'string') {
+          errors.push(`${label}: invalid sequence linkedGenerationId`);
+        }
+      }
+      if (!queueIds.has(item.queueId)) {
+        errors.push(`${label}: unknown queue "${item.queueId}"`);
+      }
+      validateOptions(item.options).errors.forEach(err => errors.push(`${label}: ${err}`));
+    });
+
+    if (backupState.schedule != null) {
+      validateSchedule(backupState.schedule).forEach(err => errors.push(`Schedule: ${err}`));
+    }
+
+    if (backupState.retryPolicy != null) {
+      validateRetryPolicy(backupState.retryPolicy).forEach(err => errors.push(`Retry policy: ${err}`));
+    }
+
+    if (typeof backupState.isPaused !== 'boolean') errors.push('isPaused must be true or false');
+    if (typeof backupState.isAutomationEnabled !== 'boolean') errors.push('isAutomationEnabled must be true or false');
+
+    return errors;
+  }
+
+  return {
+    OPTION_DEFAULTS,
+    OPTION_RULES,
+    SETTINGS_STORAGE_KEY,
+    SETTING_RULES,
+    DEFAULT_SETTINGS,
+    EDITABLE_STATUSES,
+    PRIORITIES,
+    DEFAULT_PRIORITY,
+    MAX_VARIATIONS,
+    FINISHED_STATUSES,
+    SEQUENCE_LINK_FIELDS,
+    DEFAULT_QUEUE_ID,
+    DEFAULT_CONCURRENCY_LIMIT,
+    MAX_CONCURRENCY_LIMIT,
+    SCHEDULING_MODES,
+    IN_FLIGHT_STATUSES,
+    FAILURE_CLASSES,
+    DEFAULT_RETRY_POLICY,
+    ITEM_STATUSES,
+    DEFAULT_SCHEDULE,
+    BACKUP_VERSION,
+    validateOptions,
+    validateSettings,
+    resolveSettings,
+    validateSchedule,
+    getNextWindowTime,
+    getItemEligibleAt,
+    getPriorityRank,
+    getVariationCount,
+    getVariationProgress,
+    countInFlight,
+    getPreviousShot,
+    getSequenceBlock,
+    validateSequence,
+    pickNextItem,
+    getCostKey,
+    estimateItemCost,
+    estimateQueueCost,
+    createQueueConfig,
+    validateQueueConfig,
+    pickNextAcrossQueues,
+    formatDownloadName,
+    resolveRetryPolicy,
+    validateRetryPolicy,
+    classifyFailure,
+    getRetryDecision,
+    buildBackup,
+    parseBackup,
+    validateBackupState
+  };
+})();